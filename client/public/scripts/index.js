@@ -200,6 +200,10 @@ function setupEventListeners() {
   projectLink.addEventListener('click', () => switchContent('project'));
   settingLink.addEventListener('click', () => switchContent('setting'));
   homeLink.addEventListener('click', () => { window.location.href = '/'; });
+
+  document.querySelectorAll('input[name="optimization"]').forEach(radio => {
+    radio.addEventListener('change', () => saveOptimization(radio.value));
+  });
 }
 
 // 画像のホバーイベント処理
@@ -284,6 +288,33 @@ async function createNewProject() {
   
 
 
+// ==============================
+// 6. 設定
+// ==============================
+
+/**
+ * 最適化のプリセット (精度 / 速度) をサーバーに保存する関数
+ * プリセットを上書きしていないプロジェクトの、次に開いたときの設定と次回の学習に反映される
+ * @param {string} optimization - accuracy または speed
+ */
+async function saveOptimization(optimization) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ optimization }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details || data.error);
+    }
+  } catch (error) {
+    console.error('設定の保存に失敗しました', error);
+    alert(`設定の保存に失敗しました: ${error.message}`);
+  }
+}
+
+
 
 // ==============================
 // 7. 初期化
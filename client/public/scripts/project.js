@@ -11,6 +11,25 @@ let socket;
 // 画像縮小率 (0.1 - 1.0), 0.2 で元のサイズの 20%
 let imageScale = 0.2; 
 
+// このページから開始した学習ジョブの ID (完了時のアラート表示用)
+const startedJobIds = new Set();
+
+// 実行中の学習のエポックごとの履歴 (学習グラフ用, training.json の history と同じ形式)
+let liveTrainHistory = { loss: [], acc: [], val_loss: [], val_acc: [] };
+let liveTrainEpochs = 0;
+
+// マルチラベルのプロジェクトの画像ごとのラベル (manifest.json と同じ形式)
+let imageManifest = { images: {} };
+
+// 物体検出のプロジェクトの画像ごとの矩形 (annotations.json と同じ形式)
+let imageAnnotations = { images: {} };
+
+// 物体検出のモデルの背景クラス (classes の先頭)
+const DETECTION_BACKGROUND = '__background__';
+
+// ラベルの登録簿 (labels.json と同じ形式, ラベルの順番と表示名)
+let labelRegistry = { nextId: 1, labels: [] };
+
 // ==============================
 // 2. ヘルパー関数
 // ==============================
@@ -62,6 +81,17 @@ async function sendRequest(url, method, data, errorMessage) {
   }
 }
 
+/**
+ * 画像を学習・検証と同じ方法でデコードして返す /images の URL を作成する関数
+ * (EXIF の向きを反映し、GIF は最初のフレーム、透明な部分はプロジェクトの背景色で塗る)
+ * @param {string} directory - 画像のフォルダのパス (/projects/<プロジェクト名>/...)
+ * @param {string} imageName - 画像名
+ * @returns {string} - 画像のURL
+ */
+function imageUrl(directory, imageName) {
+  return `/images?path=${directory}/${encodeURIComponent(imageName)}`;
+}
+
 // ==============================
 // 2.5 API
 // ==============================
@@ -189,6 +219,28 @@ function addImageCard(imageGridInner, imageSrc, imageName, labelName, observer)
   labelSpan.addEventListener('click', handleLabelClick);
   imageCard.appendChild(labelSpan);
 
+  // マルチラベルのプロジェクトでは画像ごとのラベル (タグ) と編集ボタンを表示
+  if (isMultiLabelProject()) {
+    const tagsSpan = document.createElement('span');
+    tagsSpan.classList.add('image-tags');
+    imageCard.appendChild(tagsSpan);
+    renderImageTags(imageCard);
+
+    const tagsButton = document.createElement('button');
+    tagsButton.classList.add('tags-button');
+    tagsButton.textContent = 'Tags';
+    tagsButton.addEventListener('click', handleTagsButtonClick);
+    imageCard.appendChild(tagsButton);
+  }
+
+  // 物体検出のプロジェクトでは矩形の数を表示 (右クリックの拡大表示で矩形を描く)
+  if (isDetectionProject()) {
+    const boxCountSpan = document.createElement('span');
+    boxCountSpan.classList.add('box-count');
+    imageCard.appendChild(boxCountSpan);
+    renderBoxCount(imageCard);
+  }
+
   // 画像名表示
   const imageNameSpan = document.createElement('span');
   imageNameSpan.classList.add('image-name');
@@ -222,7 +274,7 @@ async function displayImagesForLabel(label, projectPath) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         const imageCard = entry.target;
-        const imageSrc = `/images?path=${projectPath}/${label.name}/${encodeURIComponent(imageCard.dataset.imageName)}`;
+        const imageSrc = imageUrl(`${projectPath}/${label.name}`, imageCard.dataset.imageName);
         lazyLoadImage(imageSrc, imageScale, imageCard.querySelector('.image-placeholder')).catch(() => {});
         observer.unobserve(imageCard);
       }
@@ -230,7 +282,7 @@ async function displayImagesForLabel(label, projectPath) {
   });
 
   imageList.filter(image => !image.isDirectory).forEach(image => {
-    const imageSrc = `/images?path=${projectPath}/${label.name}/${encodeURIComponent(image.name)}`;
+    const imageSrc = imageUrl(`${projectPath}/${label.name}`, image.name);
     addImageCard(imageGridInner, imageSrc, image.name, label.name, observer);
   });
 }
@@ -245,7 +297,14 @@ async function displayEachLabelImages() {
     const projectPath = `/projects/${projectName}`;
     clearLabelContainers();
 
-    const labelList = await fetchLabelList(projectName);
+    labelRegistry = await fetchLabelRegistry(projectName);
+    const labelList = sortByLabelRegistry(await fetchLabelList(projectName));
+    if (isMultiLabelProject()) {
+      imageManifest = await fetchManifest(projectName);
+    }
+    if (isDetectionProject()) {
+      imageAnnotations = await fetchAnnotations(projectName);
+    }
     createLabelContainers(labelList);
 
     await Promise.all(
@@ -253,6 +312,10 @@ async function displayEachLabelImages() {
     );
 
     updateImageCount();
+    updateImbalanceWarning();
+    if (isMultiLabelProject()) {
+      displayThresholdsForm(labelList.filter(label => label.isDirectory).map(label => label.name));
+    }
   } catch (error) {
     handleError(error, '画像一覧の取得に失敗しました');
   }
@@ -275,7 +338,7 @@ function createLabelContainer(labelName) {
   // ラベル名
   const labelNameElement = document.createElement('div');
   labelNameElement.classList.add('label-name');
-  labelNameElement.textContent = labelName;
+  labelNameElement.textContent = labelDisplayName(labelName);
   labelContainer.appendChild(labelNameElement);
 
   // 削除ボタン
@@ -329,16 +392,109 @@ async function displayProgress() {
   progressBar.appendChild(percentage);
 }
 
+// 学習の各段階の表示名
+const TRAIN_PHASE_LABELS = {
+  loading: 'Loading images',
+  extracting: 'Extracting features',
+  augmenting: 'Augmenting images',
+  fitting: 'Fitting',
+  fittingBoxes: 'Fitting boxes',
+  finetuning: 'Fine-tuning',
+  crossValidating: 'Cross-validating',
+  saving: 'Saving',
+  done: 'Done',
+};
+
+/**
+ * 残り時間を表示用に整形する関数
+ * @param {number|null} seconds - 残り秒数
+ * @returns {string} - 表示用文字列
+ */
+function formatEta(seconds) {
+  if (typeof seconds !== 'number' || seconds <= 0) return '';
+  const minutes = Math.floor(seconds / 60);
+  const rest = String(Math.round(seconds % 60)).padStart(2, '0');
+  return minutes > 0 ? ` · ${minutes}m ${rest}s left` : ` · ${rest}s left`;
+}
+
 /**
- * プログレスバーを更新する関数
- * @param {number} progress - 進捗率
+ * プログレスバーと学習段階の表示を更新する関数
+ * @param {Object} progress - 段階 (phase)、現在・総ステップ数、進捗率、メトリクス、残り時間 (eta)
  */
 function updateProgress(progress) {
   const progressBar = document.querySelector('.progress-bar');
   const percentage = document.querySelector('.percentage');
-  const angle = progress * 3.6; 
+  const angle = progress.percent * 3.6; 
   progressBar.style.backgroundImage = `conic-gradient(#68b7ff 0deg, #68b7ff ${angle}deg, transparent ${angle}deg, transparent 360deg)`; 
-  percentage.textContent = `${progress}%`;
+  percentage.textContent = `${progress.percent}%`;
+
+  // 新しい学習の開始時は前回のメトリクス表示を消す
+  if (progress.phase === 'loading') {
+    document.getElementById('trainStatus').innerHTML = '';
+  }
+
+  const label = TRAIN_PHASE_LABELS[progress.phase] || progress.phase;
+  const steps = ['extracting', 'augmenting', 'fitting', 'finetuning', 'crossValidating'].includes(progress.phase)
+    ? ` ${progress.current}/${progress.total}`
+    : '';
+  const metrics = typeof progress.loss === 'number'
+    ? ` · loss ${formatMetric(progress.loss)} / acc ${formatMetric(progress.acc)}`
+    : '';
+  // ハイパーパラメータ探索では何番目の試行かも表示する
+  const trial = progress.trial ? `Trial ${progress.trial}/${progress.trials} · ` : '';
+  document.getElementById('trainPhase').textContent = `${trial}${label}${steps}${metrics}${formatEta(progress.eta)}`;
+}
+
+/**
+ * メトリクス値を表示用に整形する関数
+ * @param {number|undefined} value - メトリクス値
+ * @returns {string} - 表示用文字列
+ */
+function formatMetric(value) {
+  return typeof value === 'number' ? value.toFixed(3) : '-';
+}
+
+/**
+ * 学習メトリクス表示を更新する関数
+ * @param {Object} metrics - エポックごとの学習・検証メトリクス
+ */
+function updateTrainMetrics(metrics) {
+  const trainStatus = document.getElementById('trainStatus');
+  trainStatus.innerHTML = '';
+
+  const epochLine = document.createElement('div');
+  epochLine.textContent = `Epoch ${metrics.epoch + 1}/${metrics.epochs}`;
+  trainStatus.appendChild(epochLine);
+
+  const trainLine = document.createElement('div');
+  trainLine.textContent = `train loss ${formatMetric(metrics.loss)} / acc ${formatMetric(metrics.acc)}`;
+  trainStatus.appendChild(trainLine);
+
+  const valLine = document.createElement('div');
+  valLine.textContent = `val loss ${formatMetric(metrics.valLoss)} / acc ${formatMetric(metrics.valAcc)}`;
+  trainStatus.appendChild(valLine);
+}
+
+/**
+ * 学習終了の理由を表示用に整形する関数
+ * @param {Object} stopping - 停止エポックと理由
+ * @returns {string} - 表示用文字列
+ */
+function formatStopping(stopping) {
+  if (!stopping) return '';
+  const bestEpoch = stopping.bestEpoch !== null ? ` / best epoch ${stopping.bestEpoch + 1}` : '';
+  return `Stopped at epoch ${stopping.stoppedEpoch + 1} (${stopping.reason})${bestEpoch}`;
+}
+
+/**
+ * 学習停止情報を表示する関数
+ * @param {Object} stopping - 停止エポックと理由
+ */
+function displayTrainStopped(stopping) {
+  const trainStatus = document.getElementById('trainStatus');
+  const stoppedLine = document.createElement('div');
+  stoppedLine.textContent = formatStopping(stopping);
+  trainStatus.appendChild(stoppedLine);
 }
 
 /**
@@ -367,7 +523,7 @@ function updateContentLabelImageCount(labelName) {
   const labelNameElement = document.querySelector(`.label-container[data-label-id="${labelName}"] .label-name`);
   if (labelNameElement) {
     const labelImages = document.querySelectorAll(`.image-card[data-label-name="${labelName}"]`).length;
-    labelNameElement.textContent = `${labelName} (${labelImages} images)`;
+    labelNameElement.textContent = `${labelDisplayName(labelName)} (${labelImages} images)`;
   }
 }
 
@@ -376,7 +532,7 @@ function updateContentLabelImageCount(labelName) {
  * @param {string} labelName - ラベル名
  */
 function updateSidebarLabelImageCount(labelName) {
-  const sidebarLabelElement = Array.from(document.querySelectorAll('#sidebarLabelList div:not(.image-count)')).find(element => element.textContent === labelName);
+  const sidebarLabelElement = Array.from(document.querySelectorAll('#sidebarLabelList div:not(.image-count)')).find(element => element.dataset.labelName === labelName);
   if (sidebarLabelElement) {
     const sidebarImageCountElement = sidebarLabelElement.nextElementSibling; 
     const labelImages = document.querySelectorAll(`.image-card[data-label-name="${labelName}"]`).length;
@@ -582,14 +738,291 @@ function toggleAddLabelForm() {
   toggleElementDisplay(addLabelForm);
 }
 
+/**
+ * 学習設定フォームの値を取得する関数
+ * @returns {Object} - 学習ハイパーパラメータ
+ */
+function getTrainOptions() {
+  const form = document.getElementById('trainSettingsForm');
+  return {
+    epochs: Number(form.elements.epochs.value),
+    batchSize: Number(form.elements.batchSize.value),
+    learningRate: Number(form.elements.learningRate.value),
+    optimizer: form.elements.optimizer.value,
+    hiddenUnits: Number(form.elements.hiddenUnits.value),
+    dropout: Number(form.elements.dropout.value),
+    validationSplit: Number(form.elements.validationSplit.value),
+    earlyStopping: form.elements.earlyStopping.checked,
+    patience: Number(form.elements.patience.value),
+    monitor: form.elements.monitor.value,
+    classWeighting: form.elements.classWeighting.value,
+    fineTune: form.elements.fineTune.checked,
+    fineTuneBlocks: Number(form.elements.fineTuneBlocks.value),
+    fineTuneEpochs: Number(form.elements.fineTuneEpochs.value),
+    fineTuneLearningRate: Number(form.elements.fineTuneLearningRate.value),
+    warmStart: form.elements.warmStart.checked,
+    warmStartEpochs: Number(form.elements.warmStartEpochs.value),
+    // 空欄ならサーバー側でシードを決める
+    seed: form.elements.seed.value === '' ? null : Number(form.elements.seed.value),
+  };
+}
+
+/**
+ * ラベル間の画像数の偏りをチェックし、設定した比率を超えたら警告を表示する関数
+ */
+function updateImbalanceWarning() {
+  const imbalanceWarning = document.getElementById('imbalanceWarning');
+  const ratioLimit = Number(document.getElementById('trainSettingsForm').elements.imbalanceRatio.value);
+  const counts = Array.from(document.querySelectorAll('.label-container')).map(container => ({
+    name: container.dataset.labelId,
+    count: container.querySelectorAll('.image-card').length,
+  })).filter(label => label.count > 0);
+
+  if (counts.length < 2 || !(ratioLimit >= 1)) {
+    imbalanceWarning.style.display = 'none';
+    return;
+  }
+
+  const largest = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  const smallest = counts.reduce((a, b) => (b.count < a.count ? b : a));
+  const ratio = largest.count / smallest.count;
+  if (ratio > ratioLimit) {
+    imbalanceWarning.textContent = `⚠ ラベルの画像数に偏りがあります: ${largest.name} (${largest.count}) / ${smallest.name} (${smallest.count}) = ${ratio.toFixed(1)}倍。Class weighting の利用を検討してください。`;
+    imbalanceWarning.style.display = 'block';
+  } else {
+    imbalanceWarning.style.display = 'none';
+  }
+}
+
+/**
+ * データ拡張設定フォームの値を取得する関数
+ * @returns {Object} - データ拡張設定
+ */
+function getAugmentationSettings() {
+  const form = document.getElementById('augmentationForm');
+  return {
+    enabled: form.elements.enabled.checked,
+    copies: Number(form.elements.copies.value),
+    horizontalFlip: form.elements.horizontalFlip.checked,
+    verticalFlip: form.elements.verticalFlip.checked,
+    rotation: Number(form.elements.rotation.value),
+    zoom: Number(form.elements.zoom.value),
+    brightness: Number(form.elements.brightness.value),
+    contrast: Number(form.elements.contrast.value),
+  };
+}
+
+/**
+ * データ拡張設定をサーバーに保存する関数
+ * 手動で変更した設定はプリセットより優先するため、プロジェクトのプリセットを custom にする
+ * @returns {Promise<void>}
+ */
+async function saveAugmentationSettings() {
+  const form = document.getElementById('augmentationForm');
+  if (!form.reportValidity()) return;
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { augmentation: getAugmentationSettings(), preset: 'custom' },
+    'データ拡張設定の保存に失敗しました'
+  ).catch(() => null);
+  reloadIfPresetChanged(response);
+}
+
+/**
+ * 透過画像の背景色をプロジェクト設定に保存する関数
+ * 次回以降の学習と画像の表示に適用され、学習済みのモデルは学習時の色で検証される
+ * @returns {Promise<void>}
+ */
+async function saveImageBackground() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { background: document.getElementById('imageBackground').value },
+    '背景色の保存に失敗しました'
+  ).catch(() => {});
+}
+
+/**
+ * 設定の保存でプリセットが custom に変わった場合にページを再読み込みする関数
+ * 学習設定フォームの初期値とメニューの表示をプリセットの無い状態に戻すため
+ * @param {Object|null} response - 設定保存 API のレスポンス
+ * @returns {boolean} - 再読み込みするか
+ */
+function reloadIfPresetChanged(response) {
+  if (!response || response.settings.preset === document.body.dataset.preset) return false;
+  window.location.reload();
+  return true;
+}
+
+/**
+ * 最適化のプリセットを選択してプロジェクト設定に保存する関数
+ * バックボーン・データ拡張・学習設定の初期値が変わるため、保存後にページを再読み込みする
+ * @param {HTMLElement} option - 選択されたメニュー項目
+ * @returns {Promise<void>}
+ */
+async function selectPreset(option) {
+  if (option.dataset.preset === document.body.dataset.preset) return;
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { preset: option.dataset.preset },
+    'プリセットの変更に失敗しました'
+  ).catch(() => null);
+  if (response) {
+    window.location.reload();
+  }
+}
+
+/**
+ * バックボーン (特徴抽出モデル) を選択してプロジェクト設定に保存する関数
+ * 次回以降の学習に適用され、学習済みのモデルは学習時のバックボーンで検証される
+ * 手動で選んだバックボーンはプリセットより優先するため、プロジェクトのプリセットを custom にする
+ * @param {HTMLElement} option - 選択されたメニュー項目
+ * @returns {Promise<void>}
+ */
+async function selectBackbone(option) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { backbone: option.dataset.backbone, preset: 'custom' },
+    'バックボーンの変更に失敗しました'
+  ).catch(() => null);
+  if (!response || reloadIfPresetChanged(response)) return;
+
+  document.querySelectorAll('.backbone-option').forEach(item => {
+    const name = item.textContent.replace('✔', '').trim();
+    item.textContent = item.dataset.backbone === response.settings.backbone ? `✔ ${name}` : name;
+  });
+  document.getElementById('currentBackbone').textContent = option.textContent.replace('✔', '').trim();
+}
+
 /**
  * "Train" ボタンクリックイベントのハンドラー
  */
 function handleTrainStartClick() {
   const projectName = document.getElementById("projectLink").textContent.trim();
-  const trainStartIcon = document.getElementById('trainStartIcon');
-  trainStartIcon.textContent = '▶';
-  socket.emit('yourBeginLearnMsg', { projectName });
+  const form = document.getElementById('trainSettingsForm');
+  if (!form.reportValidity()) {
+    form.style.display = 'block';
+    return;
+  }
+  setTrainingState(true);
+  socket.emit('yourBeginLearnMsg', { projectName, options: getTrainOptions() });
+}
+
+/**
+ * "Cross-validate" ボタンクリックイベントのハンドラー
+ * 学習設定と分割数で交差検証ジョブを追加する (モデルは保存されない)
+ */
+function handleCrossValidateClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const form = document.getElementById('trainSettingsForm');
+  if (!form.reportValidity()) {
+    form.style.display = 'block';
+    return;
+  }
+  setTrainingState(true);
+  const options = { ...getTrainOptions(), folds: Number(form.elements.folds.value) };
+  socket.emit('startCrossValidation', { projectName, options });
+}
+
+/**
+ * "Stop" ボタンクリックイベントのハンドラー
+ */
+function handleTrainStopClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  document.getElementById('LearnStopButton').disabled = true;
+  socket.emit('cancelTraining', { projectName });
+}
+
+// 学習以外のジョブの待機列での表示
+const JOB_TYPE_TAGS = { crossValidate: '[CV]', search: '[Search]' };
+
+/**
+ * 学習ジョブの待機列を表示する関数
+ * @param {Array<Object>} jobs - サーバーのジョブ一覧 (古い順)
+ */
+function displayJobQueue(jobs) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const jobQueue = document.getElementById('jobQueue');
+  jobQueue.innerHTML = '';
+
+  const activeJobs = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+  activeJobs.forEach((job, index) => {
+    const jobItem = document.createElement('div');
+    jobItem.classList.add('job-item', `job-${job.status}`);
+    if (job.projectName === projectName) {
+      jobItem.classList.add('own-project');
+    }
+
+    const jobLabel = document.createElement('span');
+    const jobName = JOB_TYPE_TAGS[job.type] ? `${job.projectName} ${JOB_TYPE_TAGS[job.type]}` : job.projectName;
+    jobLabel.textContent = job.status === 'running'
+      ? `▶ ${jobName}`
+      : `${index + 1}. ${jobName} (queued)`;
+    jobItem.appendChild(jobLabel);
+
+    if (job.projectName === projectName) {
+      const cancelButton = document.createElement('button');
+      cancelButton.textContent = '✕';
+      cancelButton.title = job.status === 'running' ? 'Stop' : 'Remove from queue';
+      cancelButton.addEventListener('click', () => socket.emit('cancelTraining', { projectName, jobId: job.id }));
+      jobItem.appendChild(cancelButton);
+    }
+    jobQueue.appendChild(jobItem);
+  });
+
+  // このプロジェクトのジョブが待機中・実行中なら Stop ボタンを表示する
+  const ownJob = activeJobs.find(job => job.projectName === projectName);
+  setTrainingState(Boolean(ownJob));
+  if (ownJob && ownJob.status === 'queued') {
+    const position = activeJobs.indexOf(ownJob);
+    document.getElementById('trainPhase').textContent = `Waiting in queue (${position} job(s) ahead)`;
+  }
+}
+
+/**
+ * 学習ジョブの終了メッセージを表示する関数
+ * このページから開始したジョブはアラートで、それ以外は学習状況欄に表示する
+ * @param {Object} data - jobId を含むデータ
+ * @param {string} message - 表示するメッセージ
+ */
+function notifyJobFinished(data, message) {
+  if (startedJobIds.delete(data.jobId)) {
+    alert(message);
+  } else {
+    const finishedLine = document.createElement('div');
+    finishedLine.textContent = message;
+    document.getElementById('trainStatus').appendChild(finishedLine);
+  }
+}
+
+/**
+ * 読み込めずに除外した画像の枚数を完了メッセージに添える文を返す関数
+ * @param {Array<Object>} skipped - 除外した画像 [{ path, reason }]
+ * @returns {string} - 除外した画像が無い場合は空文字
+ */
+function skippedNote(skipped) {
+  return skipped && skipped.length > 0 ? `\n読み込めなかった画像 ${skipped.length} 枚を除外しました。` : '';
+}
+
+/**
+ * 学習中かどうかに応じて Train / Stop ボタンの表示を切り替える関数
+ * @param {boolean} isTraining - 学習中かどうか
+ */
+function setTrainingState(isTraining) {
+  document.getElementById('trainStartIcon').textContent = isTraining ? '▶' : '▷';
+  const stopButton = document.getElementById('LearnStopButton');
+  stopButton.style.display = isTraining ? 'block' : 'none';
+  stopButton.disabled = false;
+  // 1 プロジェクトにつき待機中・実行中のジョブは 1 件まで
+  document.getElementById('CrossValidateButton').disabled = isTraining;
+  document.getElementById('startSearchButton').disabled = isTraining;
 }
 
 /**
@@ -670,10 +1103,14 @@ function displaySidebarLabelList(labelList) {
     updateActiveLabel();
   });
 
-  // 各ラベルの表示
-  labelList.filter(label => label.isDirectory).forEach(label => {
+  // 各ラベルの表示 (登録簿の順番と表示名, ダブルクリックで表示名を変更)
+  sortByLabelRegistry(labelList).filter(label => label.isDirectory).forEach(label => {
     const labelElement = document.createElement('div');
-    labelElement.textContent = label.name;
+    labelElement.dataset.labelName = label.name;
+    labelElement.textContent = labelDisplayName(label.name);
+    labelElement.title = `${label.name} (ダブルクリックで表示名を変更)`;
+    labelElement.addEventListener('dblclick', () => renameLabel(label.name));
+    labelElement.appendChild(createLabelOrderButtons(label.name));
     const imageCount = document.createElement('div');
     imageCount.textContent = `${document.querySelectorAll(`.image-card[data-label-name="${label.name}"]`).length} images`;
     imageCount.classList.add('image-count');
@@ -715,7 +1152,7 @@ function updateActiveLabel() {
   }
 
   if (activeLabel) {
-    const activeSidebarLabel = Array.from(sidebarLabels).find(label => label.textContent === activeLabel);
+    const activeSidebarLabel = Array.from(sidebarLabels).find(label => label.dataset.labelName === activeLabel);
     activeSidebarLabel?.classList.add('active-scroll');
   }
 }
@@ -744,6 +1181,12 @@ function setupEventListeners() {
   
   // トレーニング開始ボタン
   document.getElementById('LearnStartButton').addEventListener('click', handleTrainStartClick);
+
+  // 交差検証ボタン
+  document.getElementById('CrossValidateButton').addEventListener('click', handleCrossValidateClick);
+
+  // トレーニング中止ボタン
+  document.getElementById('LearnStopButton').addEventListener('click', handleTrainStopClick);
   
   // 新しいラベル作成ボタン
   document.getElementById('createNewLabelButton').addEventListener('click', createNewLabel);
@@ -753,6 +1196,29 @@ function setupEventListeners() {
   const menu = document.getElementById('menu');
   hamburgerMenu.addEventListener('click', () => toggleElementDisplay(menu));
 
+  // Type メニュー (バックボーンの選択)
+  const backboneMenu = document.getElementById('backboneMenu');
+  document.getElementById('typeMenu').addEventListener('click', () => toggleElementDisplay(backboneMenu));
+  document.querySelectorAll('.backbone-option').forEach(option => {
+    option.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      await selectBackbone(option);
+      backboneMenu.style.display = 'none';
+    });
+  });
+  document.querySelectorAll('.mode-option').forEach(option => {
+    option.addEventListener('click', (event) => {
+      event.stopPropagation();
+      selectProjectMode(option);
+    });
+  });
+  document.querySelectorAll('.preset-option').forEach(option => {
+    option.addEventListener('click', (event) => {
+      event.stopPropagation();
+      selectPreset(option);
+    });
+  });
+
   // ホームリンククリック
   document.getElementById('homeLink').addEventListener('click', () => {
     window.location.href = '/';
@@ -760,109 +1226,1566 @@ function setupEventListeners() {
 }
 
 // ==============================
-// 5. 画像アップロード
+// 4.5 モデルのバージョン管理
 // ==============================
 
 /**
- * 画像アップロード処理
- * @param {FileList} files - アップロードするファイルリスト
- * @param {string} targetDirectory - アップロード先のディレクトリ
+ * モデルのバージョン一覧を取得して表示する関数
+ * @returns {Promise<void>}
  */
-async function uploadImages(files, targetDirectory) {
-  const [_, projectName, labelName] = targetDirectory.split('/');
-  const uploadPromises = [];
+async function displayVersionList() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const versionList = document.getElementById('versionList');
 
-  for (const file of files) {
-    if (file.size > 1024 * 1024) {
-      console.error(`アップロードする画像は1MB未満にしてください (画像名: ${file.name})`);
-      continue;
+  try {
+    const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions`);
+    if (!response.ok) {
+      throw new Error('バージョン一覧の取得に失敗しました');
     }
-    try {
-      const fileData = await file.arrayBuffer();
-      uploadPromises.push(socket.emit('upload', {
-        projectName,
-        labelName,
-        fileData,
-        fileName: file.name,
-      }));
-    } catch (error) {
-      handleError(error, '画像のアップロード中にエラーが発生しました');
+    const { versions } = await response.json();
+    versionList.innerHTML = '';
+
+    if (versions.length === 0) {
+      versionList.textContent = 'No models yet';
+      return;
     }
+
+    versions.forEach(version => versionList.appendChild(createVersionItem(version)));
+  } catch (error) {
+    handleError(error, 'バージョン一覧の取得に失敗しました');
   }
+}
 
-  await Promise.all(uploadPromises);
-  socket.emit('uploadComp'); 
+/**
+ * バージョン一覧の 1 行を作成する関数
+ * @param {Object} version - バージョン情報
+ * @returns {HTMLElement} - 作成したバージョン項目
+ */
+function createVersionItem(version) {
+  const versionItem = document.createElement('div');
+  versionItem.classList.add('version-item');
+  versionItem.dataset.versionId = version.id;
+  if (version.active) {
+    versionItem.classList.add('active-version');
+  }
+
+  const savedAt = document.createElement('div');
+  savedAt.classList.add('version-date');
+  savedAt.textContent = `${version.active ? '● ' : ''}${new Date(version.savedAt).toLocaleString()}`;
+  versionItem.appendChild(savedAt);
+
+  const score = document.createElement('div');
+  score.classList.add('version-score');
+  const valAcc = version.final && typeof version.final.valAcc === 'number' ? `val acc ${(version.final.valAcc * 100).toFixed(1)}%` : 'val acc -';
+  const trial = version.search ? ` / search trial #${version.search.trial}` : '';
+  const seed = version.options && typeof version.options.seed === 'number' ? ` / seed ${version.options.seed}` : '';
+  const warmStart = version.warmStart ? ` / warm start (+${version.warmStart.newClasses.length} labels)` : '';
+  score.textContent = `${valAcc} / ${version.classes.filter(label => label !== DETECTION_BACKGROUND).length} labels${version.backbone ? ` / ${version.backbone}` : ''}${trial}${seed}${warmStart}`;
+  versionItem.appendChild(score);
+
+  const chartButton = document.createElement('button');
+  chartButton.textContent = 'Chart';
+  chartButton.addEventListener('click', () => showVersionCharts(version.id));
+  versionItem.appendChild(chartButton);
+
+  if (!version.active) {
+    const activateButton = document.createElement('button');
+    activateButton.textContent = 'Activate';
+    activateButton.addEventListener('click', () => activateModelVersion(version.id));
+    versionItem.appendChild(activateButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => deleteModelVersion(version.id));
+    versionItem.appendChild(deleteButton);
+  }
+
+  return versionItem;
 }
 
 /**
- * 画像を移動する関数
- * @param {string} projectName - プロジェクト名
- * @param {string} imageName - 画像名
- * @param {string} sourceLabel - 元のラベル
- * @param {string} targetLabel - 移動先のラベル
+ * 指定したバージョンを検証用モデルにする関数
+ * @param {string} versionId - バージョンID
  * @returns {Promise<void>}
  */
-async function moveImage(projectName, imageName, sourceLabel, targetLabel) {
-  socket.emit('moveImage', { projectName, imageName, sourceLabel, targetLabel });
+async function activateModelVersion(versionId) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions/${encodeURIComponent(versionId)}/activate`,
+    'POST', {}, 'バージョンの切り替えに失敗しました'
+  ).catch(() => {});
+}
 
-  return new Promise((resolve, reject) => {
-    socket.once('moveImageSuccess', (data) => {
-      console.log(data.message);
-      resolve();
-    });
+/**
+ * 指定したバージョンを削除する関数
+ * @param {string} versionId - バージョンID
+ * @returns {Promise<void>}
+ */
+async function deleteModelVersion(versionId) {
+  if (!confirm('このバージョンを削除しますか?')) return;
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions/${encodeURIComponent(versionId)}`,
+    'DELETE', {}, 'バージョンの削除に失敗しました'
+  ).catch(() => {});
+}
 
-    socket.once('moveImageError', (data) => {
-      handleError(data.error, data.details);
-      reject(new Error(data.error));
-    });
+/**
+ * 直前にアクティブだったバージョンに戻す関数
+ * @returns {Promise<void>}
+ */
+async function rollbackModelVersion() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions/rollback`,
+    'POST', {}, '以前のバージョンに戻せませんでした'
+  ).catch(() => {});
+}
+
+/**
+ * サイドバーのバージョン一覧のトグル設定関数
+ */
+function setupSidebarVersionsToggle() {
+  const sidebarVersions = document.getElementById('sidebarVersions');
+  const versionListContainer = document.getElementById('versionListContainer');
+  const versionsToggleIcon = document.getElementById('versionsToggleIcon');
+
+  sidebarVersions.addEventListener('click', async () => {
+    toggleElementDisplay(versionListContainer);
+    versionsToggleIcon.textContent = versionListContainer.style.display === 'block' ? '︿' : '﹀';
+    if (versionListContainer.style.display === 'block') {
+      await displayVersionList();
+    }
   });
+
+  document.getElementById('rollbackVersionButton').addEventListener('click', rollbackModelVersion);
 }
 
 // ==============================
-// 6. 初期化
+// 4.6 学習グラフ
 // ==============================
 
+// グラフの線の色
+const CHART_COLORS = { train: '#68b7ff', validation: '#ff9f40' };
+
 /**
- * 初期化関数
+ * 折れ線グラフを canvas に描画する関数
+ * @param {HTMLCanvasElement} canvas - 描画先の canvas
+ * @param {string} title - グラフのタイトル
+ * @param {Array<Object>} series - { label, values, color } の配列 (values はエポック順)
+ * @param {number} epochs - 横軸のエポック数
+ * @param {Object} [range] - 縦軸の範囲 { min, max } (省略時はデータから決める)
  */
-async function init() {
-  await setupUI();
-  socket = io(API_BASE_URL);
-  console.log('サーバーに接続しました');
-
-  // ソケットイベントリスナー設定
-  socket.on('uploadSuccess', (data) => console.log(data.message, data.fileName));
-  socket.on('uploadError', (data) => handleError(data.error, data.details));
-  socket.on('updateProgress', (progress) => updateProgress(progress));
-  socket.on('learnCompleted', (data) => {
-    console.log(data.message);
-    alert(data.message);
-    document.getElementById('trainStartIcon').textContent = '▷'; 
-  });
-  socket.on('learnError', (data) => handleError(data.error, data.details));
-  socket.on('verificationResult', (data) => {
-    const { projectName, folderName, result } = data;
-    console.log('検証結果:', result); 
-    displayVerificationResult(projectName, folderName, result);
+function drawLineChart(canvas, title, series, epochs, range = {}) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const padding = { top: 16, right: 8, bottom: 16, left: 32 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px sans-serif';
+
+  const values = series.flatMap(line => line.values).filter(value => Number.isFinite(value));
+  let min = range.min !== undefined ? range.min : Math.min(...values);
+  let max = range.max !== undefined ? range.max : Math.max(...values);
+  if (values.length === 0) {
+    min = 0;
+    max = 1;
+  }
+  if (max === min) {
+    max = min + 1;
+  }
+  const xAt = (epoch) => padding.left + (epochs > 1 ? epoch / (epochs - 1) : 0) * plotWidth;
+  const yAt = (value) => padding.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+  // 軸と目盛り
+  ctx.strokeStyle = '#888';
+  ctx.fillStyle = '#333';
+  ctx.beginPath();
+  ctx.moveTo(padding.left, padding.top);
+  ctx.lineTo(padding.left, padding.top + plotHeight);
+  ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+  ctx.stroke();
+  ctx.textAlign = 'right';
+  ctx.fillText(max.toFixed(2), padding.left - 3, padding.top + 4);
+  ctx.fillText(min.toFixed(2), padding.left - 3, padding.top + plotHeight);
+  ctx.textAlign = 'center';
+  ctx.fillText(`epoch ${epochs}`, padding.left + plotWidth - 20, height - 3);
+
+  // タイトルと凡例
+  ctx.textAlign = 'left';
+  ctx.fillText(title, padding.left, 11);
+  let legendX = width - padding.right;
+  ctx.textAlign = 'right';
+  [...series].reverse().forEach(line => {
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.label, legendX, 11);
+    legendX -= ctx.measureText(line.label).width + 6;
   });
-  socket.on('image-data-changed', async () => {
-    updateImageCount();
-    await displayEachLabelImages();
-    const projectName = document.getElementById("projectLink").textContent.trim();
-    displaySidebarLabelList(await fetchLabelList(projectName));
-    updateActiveLabel();
+
+  // 折れ線 (値の無いエポックは線を途切れさせる)
+  series.forEach(line => {
+    ctx.strokeStyle = line.color;
+    ctx.beginPath();
+    let drawing = false;
+    line.values.forEach((value, epoch) => {
+      if (!Number.isFinite(value)) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(xAt(epoch), yAt(value));
+      } else {
+        ctx.moveTo(xAt(epoch), yAt(value));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
   });
 }
 
-// DOMContentLoadedイベントリスナー設定
-document.addEventListener('DOMContentLoaded', init);
-
-// ==============================
-// UI 初期設定
-// ==============================
-
 /**
- * UI 初期設定関数
+ * loss と accuracy のグラフを描画する関数
+ * @param {HTMLCanvasElement} lossCanvas - loss グラフの canvas
+ * @param {HTMLCanvasElement} accCanvas - accuracy グラフの canvas
+ * @param {Object} history - エポックごとの履歴 { loss, acc, val_loss, val_acc }
+ * @param {number} epochs - 横軸のエポック数
+ */
+function drawTrainCharts(lossCanvas, accCanvas, history, epochs) {
+  drawLineChart(lossCanvas, 'loss', [
+    { label: 'train', values: history.loss || [], color: CHART_COLORS.train },
+    { label: 'val', values: history.val_loss || [], color: CHART_COLORS.validation },
+  ], epochs);
+  drawLineChart(accCanvas, 'accuracy', [
+    { label: 'train', values: history.acc || [], color: CHART_COLORS.train },
+    { label: 'val', values: history.val_acc || [], color: CHART_COLORS.validation },
+  ], epochs, { min: 0, max: 1 });
+}
+
+/**
+ * 受信したエポックのメトリクスを記録してサイドバーのグラフを更新する関数
+ * @param {Object} metrics - エポックごとの学習・検証メトリクス
+ */
+function recordTrainMetrics(metrics) {
+  if (metrics.epoch === 0) {
+    liveTrainHistory = { loss: [], acc: [], val_loss: [], val_acc: [] };
+  }
+  liveTrainEpochs = metrics.epochs;
+  // 再接続時に同じエポックを再受信しても重複しないようエポック番号の位置に書き込む
+  liveTrainHistory.loss[metrics.epoch] = metrics.loss;
+  liveTrainHistory.acc[metrics.epoch] = metrics.acc;
+  liveTrainHistory.val_loss[metrics.epoch] = metrics.valLoss;
+  liveTrainHistory.val_acc[metrics.epoch] = metrics.valAcc;
+
+  document.getElementById('trainCharts').style.display = 'block';
+  drawTrainCharts(document.getElementById('lossChart'), document.getElementById('accChart'), liveTrainHistory, liveTrainEpochs);
+}
+
+/**
+ * 学習グラフを拡大表示する関数
+ * @param {string} title - 表示するタイトル
+ * @param {Object} history - エポックごとの履歴 { loss, acc, val_loss, val_acc }
+ * @param {number} epochs - 横軸のエポック数
+ */
+function showTrainChartsOverlay(title, history, epochs) {
+  const panel = createOverlayPanel(title);
+  const lossCanvas = document.createElement('canvas');
+  const accCanvas = document.createElement('canvas');
+  [lossCanvas, accCanvas].forEach(canvas => {
+    canvas.width = 480;
+    canvas.height = 240;
+    panel.appendChild(canvas);
+  });
+  drawTrainCharts(lossCanvas, accCanvas, history, epochs);
+}
+
+/**
+ * タイトル付きのパネルを画面全体のオーバーレイで表示する関数 (表示中のオーバーレイは閉じる)
+ * @param {string} title - パネルのタイトル
+ * @returns {HTMLElement} - 内容を追加するパネル要素
+ */
+function createOverlayPanel(title) {
+  document.querySelectorAll('.chart-overlay').forEach(overlay => overlay.remove());
+
+  const overlay = document.createElement('div');
+  overlay.classList.add('chart-overlay');
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) overlay.remove();
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.classList.add('close-button');
+  closeButton.textContent = '×';
+  closeButton.addEventListener('click', () => overlay.remove());
+  overlay.appendChild(closeButton);
+
+  const panel = document.createElement('div');
+  panel.classList.add('chart-panel');
+  const heading = document.createElement('div');
+  heading.classList.add('chart-title');
+  heading.textContent = title;
+  panel.appendChild(heading);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+  return panel;
+}
+
+/**
+ * 保存済みバージョンの学習グラフを表示する関数
+ * @param {string} versionId - バージョンID
+ * @returns {Promise<void>}
+ */
+async function showVersionCharts(versionId) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions/${encodeURIComponent(versionId)}`);
+    if (!response.ok) {
+      throw new Error('学習記録の取得に失敗しました');
+    }
+    const training = await response.json();
+    const history = training.history || {};
+    const epochs = (history.loss || []).length;
+    showTrainChartsOverlay(new Date(training.savedAt).toLocaleString(), history, epochs);
+  } catch (error) {
+    handleError(error, 'この学習の記録がありません');
+  }
+}
+
+// ==============================
+// 4.7 交差検証の結果
+// ==============================
+
+/**
+ * 割合をパーセント表示に整形する関数
+ * @param {number|null} value - 0〜1 の値
+ * @returns {string} - 表示用文字列
+ */
+function formatPercent(value) {
+  return typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * 見出し行とデータ行から表を作成する関数
+ * @param {Array<string>} headers - 見出し
+ * @param {Array<Array<string|number>>} rows - 各行のセルの値
+ * @returns {HTMLTableElement} - 表要素
+ */
+function createTable(headers, rows) {
+  const table = document.createElement('table');
+  table.classList.add('cv-table');
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(header => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(row => {
+    const tr = body.insertRow();
+    row.forEach(value => {
+      tr.insertCell().textContent = value;
+    });
+  });
+  return table;
+}
+
+/**
+ * 交差検証の 1 分割分の結果を学習状況欄に追加する関数
+ * @param {Object} data - { fold, folds, accuracy }
+ */
+function displayCrossValidationFold(data) {
+  const foldLine = document.createElement('div');
+  foldLine.textContent = `Fold ${data.fold + 1}/${data.folds}: acc ${formatPercent(data.accuracy)}`;
+  document.getElementById('trainStatus').appendChild(foldLine);
+}
+
+/**
+ * 交差検証の結果 (平均 ± 標準偏差、分割ごとの精度、ラベルごとの再現率、混同行列) を表示する関数
+ * @param {Object} result - サーバーの交差検証結果
+ */
+function showCrossValidationResult(result) {
+  const panel = createOverlayPanel(
+    `${result.folds}-fold cross-validation: ${formatPercent(result.accuracy.mean)} ± ${formatPercent(result.accuracy.std)}`
+  );
+
+  panel.appendChild(createTable(
+    ['Fold', 'Train', 'Test', 'Accuracy'],
+    result.foldResults.map(fold => [fold.fold + 1, fold.train, fold.test, formatPercent(fold.accuracy)])
+  ));
+  panel.appendChild(createTable(
+    ['Label', 'Recall'],
+    result.classes.map(label => [label, formatPercent(result.perClassRecall[label])])
+  ));
+
+  // 混同行列 (行: 正解ラベル, 列: 予測ラベル)
+  const matrix = createTable(
+    ['actual \\ predicted', ...result.classes],
+    result.confusionMatrix.map((row, index) => [result.classes[index], ...row])
+  );
+  matrix.querySelectorAll('tbody tr').forEach((tr, index) => tr.cells[index + 1].classList.add('cv-diagonal'));
+  panel.appendChild(matrix);
+
+  if (result.skipped && result.skipped.length > 0) {
+    const heading = document.createElement('div');
+    heading.classList.add('chart-title');
+    heading.textContent = skippedTitle(result.skipped);
+    panel.appendChild(heading);
+    const projectName = document.getElementById("projectLink").textContent.trim();
+    appendSkippedImages(panel, projectName, result.skipped).catch(error => console.error(error));
+  }
+}
+
+/**
+ * 交差検証の完了を通知する関数
+ * このページから開始した場合は結果を表示し、学習状況欄には結果を再表示できる要約を残す
+ * @param {Object} data - { jobId, result }
+ */
+function handleCrossValidationCompleted(data) {
+  const { result } = data;
+  const summary = document.createElement('div');
+  summary.classList.add('cv-summary');
+  summary.textContent = `Cross-validation: ${formatPercent(result.accuracy.mean)} ± ${formatPercent(result.accuracy.std)}`;
+  summary.addEventListener('click', () => showCrossValidationResult(result));
+  document.getElementById('trainStatus').appendChild(summary);
+  if (result.skipped && result.skipped.length > 0) {
+    const skippedLine = document.createElement('div');
+    skippedLine.textContent = skippedNote(result.skipped).trim();
+    document.getElementById('trainStatus').appendChild(skippedLine);
+  }
+
+  if (startedJobIds.delete(data.jobId)) {
+    showCrossValidationResult(result);
+  }
+}
+
+// ==============================
+// 4.8 ハイパーパラメータ探索
+// ==============================
+
+// リーダーボードの列 (value は試行から表示・並べ替えに使う値を取り出す)
+const LEADERBOARD_COLUMNS = [
+  { key: 'trial', label: '#', value: trial => trial.trial },
+  { key: 'learningRate', label: 'LR', value: trial => trial.params.learningRate },
+  { key: 'hiddenUnits', label: 'Hidden', value: trial => trial.params.hiddenUnits },
+  { key: 'dropout', label: 'Dropout', value: trial => trial.params.dropout },
+  { key: 'epochs', label: 'Epochs', value: trial => trial.params.epochs },
+  { key: 'valAcc', label: 'Val acc', value: trial => (trial.final ? trial.final.valAcc : null), format: formatPercent },
+  { key: 'valLoss', label: 'Val loss', value: trial => (trial.final ? trial.final.valLoss : null), format: formatMetric },
+  { key: 'acc', label: 'Acc', value: trial => (trial.final ? trial.final.acc : null), format: formatPercent },
+  { key: 'status', label: 'Status', value: trial => trial.status },
+];
+
+// リーダーボードの表示状態 (表示中の探索と並べ替え)
+const leaderboardState = { searchId: null, sortKey: 'valAcc', descending: true };
+
+/**
+ * 探索設定フォームの値を取得する関数
+ * @returns {Object} - { mode, trials, space }
+ */
+function getSearchSettings() {
+  const form = document.getElementById('searchForm');
+  const parseValues = (name) => form.elements[name].value.split(',').map(value => value.trim()).filter(value => value !== '').map(Number);
+  return {
+    mode: form.elements.mode.value,
+    trials: Number(form.elements.trials.value),
+    space: {
+      learningRate: parseValues('learningRate'),
+      hiddenUnits: parseValues('hiddenUnits'),
+      dropout: parseValues('dropout'),
+      epochs: parseValues('epochs'),
+    },
+  };
+}
+
+/**
+ * "Start search" ボタンクリックイベントのハンドラー
+ * 探索しない設定は学習設定フォームの値を使う
+ */
+function handleSearchStartClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const trainForm = document.getElementById('trainSettingsForm');
+  if (!trainForm.reportValidity()) {
+    trainForm.style.display = 'block';
+    return;
+  }
+  if (!document.getElementById('searchForm').reportValidity()) return;
+  setTrainingState(true);
+  socket.emit('startHyperparameterSearch', { projectName, options: getTrainOptions(), search: getSearchSettings() });
+}
+
+/**
+ * 探索の試行の開始・終了を受け取る関数 (表示中のリーダーボードとバージョン一覧を更新する)
+ * @param {Object} data - { searchId, trial, trials, status }
+ */
+function handleSearchTrial(data) {
+  if (data.status !== 'running') {
+    refreshLeaderboard();
+    if (document.getElementById('versionListContainer').style.display === 'block') {
+      displayVersionList();
+    }
+  }
+}
+
+/**
+ * リーダーボードが表示中なら最新の状態で表示し直す関数
+ */
+function refreshLeaderboard() {
+  if (document.querySelector('.leaderboard-panel')) {
+    showLeaderboard(leaderboardState.searchId);
+  }
+}
+
+/**
+ * リーダーボードを表示する関数
+ * @param {string|null} searchId - 表示する探索ID (省略時は最新の探索)
+ * @returns {Promise<void>}
+ */
+async function showLeaderboard(searchId = null) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    const [searchesResponse, versionsResponse] = await Promise.all([
+      fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/searches`),
+      fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/versions`),
+    ]);
+    if (!searchesResponse.ok || !versionsResponse.ok) {
+      throw new Error('探索結果の取得に失敗しました');
+    }
+    const { searches } = await searchesResponse.json();
+    const { active } = await versionsResponse.json();
+    if (searches.length === 0) {
+      alert('まだハイパーパラメータ探索を実行していません。');
+      return;
+    }
+    const search = searches.find(item => item.id === searchId) || searches[0];
+    leaderboardState.searchId = search.id;
+
+    const panel = createOverlayPanel(`Leaderboard (${search.mode}, ${search.status})`);
+    panel.classList.add('leaderboard-panel');
+
+    // 過去の探索の切り替え
+    const searchSelect = document.createElement('select');
+    searches.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = `${new Date(item.createdAt).toLocaleString()} (${item.trials.length} trials, ${item.status})`;
+      option.selected = item.id === search.id;
+      searchSelect.appendChild(option);
+    });
+    searchSelect.addEventListener('change', () => showLeaderboard(searchSelect.value));
+    panel.appendChild(searchSelect);
+
+    panel.appendChild(createLeaderboardTable(search.trials, active));
+  } catch (error) {
+    handleError(error, '探索結果の取得に失敗しました');
+  }
+}
+
+/**
+ * リーダーボードの表を作成する関数 (見出しクリックで並べ替え)
+ * @param {Array<Object>} trials - 探索の試行
+ * @param {string|null} activeVersion - アクティブなバージョンID
+ * @returns {HTMLTableElement} - 表要素
+ */
+function createLeaderboardTable(trials, activeVersion) {
+  const column = LEADERBOARD_COLUMNS.find(item => item.key === leaderboardState.sortKey);
+  // 値の無い試行 (未完了・失敗) は常に末尾
+  const sorted = [...trials].sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return leaderboardState.descending ? -order : order;
+  });
+
+  const table = document.createElement('table');
+  table.classList.add('cv-table');
+  const headRow = table.createTHead().insertRow();
+  LEADERBOARD_COLUMNS.forEach(item => {
+    const th = document.createElement('th');
+    th.classList.add('sortable');
+    th.textContent = item.key === leaderboardState.sortKey ? `${item.label} ${leaderboardState.descending ? '▼' : '▲'}` : item.label;
+    th.addEventListener('click', () => {
+      leaderboardState.descending = item.key === leaderboardState.sortKey ? !leaderboardState.descending : true;
+      leaderboardState.sortKey = item.key;
+      table.replaceWith(createLeaderboardTable(trials, activeVersion));
+    });
+    headRow.appendChild(th);
+  });
+  headRow.appendChild(document.createElement('th'));
+
+  const body = table.createTBody();
+  sorted.forEach(trial => {
+    const tr = body.insertRow();
+    LEADERBOARD_COLUMNS.forEach(item => {
+      const value = item.value(trial);
+      tr.insertCell().textContent = item.format ? item.format(value) : value;
+    });
+    const actionCell = tr.insertCell();
+    if (trial.version && trial.version === activeVersion) {
+      tr.classList.add('active-trial');
+      actionCell.textContent = 'Active';
+    } else if (trial.available) {
+      const promoteButton = document.createElement('button');
+      promoteButton.textContent = 'Promote';
+      promoteButton.addEventListener('click', async () => {
+        await activateModelVersion(trial.version);
+        refreshLeaderboard();
+      });
+      actionCell.appendChild(promoteButton);
+    }
+  });
+  return table;
+}
+
+/**
+ * サイドバーの探索設定の開閉とボタンを設定する関数
+ */
+function setupSidebarSearchToggle() {
+  const sidebarSearch = document.getElementById('sidebarSearch');
+  const searchForm = document.getElementById('searchForm');
+  const searchToggleIcon = document.getElementById('searchToggleIcon');
+
+  sidebarSearch.addEventListener('click', () => {
+    toggleElementDisplay(searchForm);
+    searchToggleIcon.textContent = searchForm.style.display === 'block' ? '︿' : '﹀';
+  });
+  searchForm.addEventListener('submit', (event) => event.preventDefault());
+
+  document.getElementById('startSearchButton').addEventListener('click', handleSearchStartClick);
+  document.getElementById('leaderboardButton').addEventListener('click', () => showLeaderboard());
+}
+
+// ==============================
+// 4.9 マルチラベル
+// ==============================
+
+/**
+ * マルチラベル (1 枚に複数ラベル) のプロジェクトかを返す関数
+ * @returns {boolean}
+ */
+function isMultiLabelProject() {
+  return document.body.dataset.projectMode === 'multi';
+}
+
+/**
+ * マニフェスト (画像ごとのラベル) を取得する関数
+ * @param {string} projectName - プロジェクト名
+ * @returns {Promise<Object>} - { images: { "<フォルダ>/<ファイル名>": [ラベル, ...] } }
+ */
+async function fetchManifest(projectName) {
+  const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/manifest`);
+  if (!response.ok) {
+    throw new Error('画像のラベルの取得に失敗しました');
+  }
+  return await response.json();
+}
+
+/**
+ * 画像のラベルを返す関数 (マニフェストに無ければフォルダ名)
+ * @param {string} labelName - フォルダ名
+ * @param {string} imageName - 画像名
+ * @returns {Array<string>}
+ */
+function labelsOfImage(labelName, imageName) {
+  return imageManifest.images[`${labelName}/${imageName}`] || [labelName];
+}
+
+/**
+ * 画像カードにラベル (タグ) を表示する関数
+ * @param {HTMLElement} imageCard - 画像カード
+ */
+function renderImageTags(imageCard) {
+  const tagsSpan = imageCard.querySelector('.image-tags');
+  const labels = labelsOfImage(imageCard.dataset.labelName, imageCard.dataset.imageName);
+  tagsSpan.innerHTML = '';
+  if (labels.length === 0) {
+    tagsSpan.textContent = '(none)';
+    return;
+  }
+  labels.forEach(label => {
+    const tag = document.createElement('span');
+    tag.classList.add('image-tag');
+    tag.textContent = label;
+    tagsSpan.appendChild(tag);
+  });
+}
+
+/**
+ * "Tags" ボタンクリックイベントのハンドラー (画像のラベルをカンマ区切りで編集する)
+ * 空欄ならどのラベルにも当てはまらない画像、"-" ならフォルダ名のラベルに戻す
+ * @param {Event} event - クリックイベント
+ * @returns {Promise<void>}
+ */
+async function handleTagsButtonClick(event) {
+  event.stopPropagation();
+  const imageCard = event.target.closest('.image-card');
+  const { labelName, imageName } = imageCard.dataset;
+  const input = prompt(
+    `${imageName} のラベル (カンマ区切り, 空欄でラベル無し, - でフォルダ名に戻す)`,
+    labelsOfImage(labelName, imageName).join(', ')
+  );
+  if (input === null) return;
+
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const labels = input.trim() === '-' ? null : input.split(',').map(label => label.trim()).filter(label => label !== '');
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/manifest/images`,
+    'PUT',
+    { image: `${labelName}/${imageName}`, labels },
+    '画像のラベルの保存に失敗しました'
+  ).catch(() => null);
+  if (!response) return;
+
+  imageManifest = response.manifest;
+  renderImageTags(imageCard);
+  displayThresholdsForm(Array.from(document.querySelectorAll('.label-container')).map(container => container.dataset.labelId));
+}
+
+/**
+ * ラベルの形式 (single / multi) を選択してプロジェクト設定に保存する関数
+ * 画像一覧とサイドバーの表示が変わるため、保存後にページを再読み込みする
+ * @param {HTMLElement} option - 選択されたメニュー項目
+ * @returns {Promise<void>}
+ */
+async function selectProjectMode(option) {
+  if (option.dataset.mode === document.body.dataset.projectMode) return;
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { mode: option.dataset.mode },
+    'ラベルの形式の変更に失敗しました'
+  ).catch(() => null);
+  if (response) {
+    window.location.reload();
+  }
+}
+
+/**
+ * ラベルごとの閾値の入力欄を表示する関数
+ * ラベルはフォルダ名とマニフェストのラベルを合わせたもの
+ * @param {Array<string>} folderLabels - フォルダ名のラベル
+ * @returns {Promise<void>}
+ */
+async function displayThresholdsForm(folderLabels) {
+  const thresholdsForm = document.getElementById('thresholdsForm');
+  if (!thresholdsForm) return;
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`).catch(() => null);
+  const thresholds = response && response.ok ? (await response.json()).thresholds || {} : {};
+
+  const labels = new Set(folderLabels);
+  Object.values(imageManifest.images).forEach(imageLabels => imageLabels.forEach(label => labels.add(label)));
+
+  thresholdsForm.innerHTML = '';
+  [...labels].sort().forEach(label => {
+    const labelElement = document.createElement('label');
+    labelElement.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.name = label;
+    input.min = '0.01';
+    input.max = '0.99';
+    input.step = '0.01';
+    input.placeholder = 'auto';
+    input.value = thresholds[label] === undefined ? '' : thresholds[label];
+    input.addEventListener('change', saveThresholds);
+    labelElement.appendChild(input);
+    thresholdsForm.appendChild(labelElement);
+  });
+}
+
+/**
+ * ラベルごとの閾値をプロジェクト設定に保存する関数 (空欄のラベルは学習時に決めた値を使う)
+ * @returns {Promise<void>}
+ */
+async function saveThresholds() {
+  const thresholdsForm = document.getElementById('thresholdsForm');
+  if (!thresholdsForm.reportValidity()) return;
+  const thresholds = {};
+  Array.from(thresholdsForm.elements).filter(input => input.value !== '').forEach(input => {
+    thresholds[input.name] = Number(input.value);
+  });
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/settings`,
+    'PUT',
+    { thresholds },
+    '閾値の保存に失敗しました'
+  ).catch(() => {});
+}
+
+/**
+ * サイドバーの閾値設定の開閉を設定する関数 (マルチラベルのプロジェクトのみ)
+ */
+function setupSidebarThresholdsToggle() {
+  const sidebarThresholds = document.getElementById('sidebarThresholds');
+  if (!sidebarThresholds) return;
+  const thresholdsForm = document.getElementById('thresholdsForm');
+  const thresholdsToggleIcon = document.getElementById('thresholdsToggleIcon');
+
+  sidebarThresholds.addEventListener('click', () => {
+    toggleElementDisplay(thresholdsForm);
+    thresholdsToggleIcon.textContent = thresholdsForm.style.display === 'block' ? '︿' : '﹀';
+  });
+  thresholdsForm.addEventListener('submit', (event) => event.preventDefault());
+}
+
+/**
+ * マルチラベルの検証結果を表示する関数
+ * 画像は閾値を超えたラベルすべてのグループに表示し、どのラベルも超えない画像は (none) にまとめる
+ * @param {HTMLElement} container - 結果を表示する要素
+ * @param {string} projectName - プロジェクト名
+ * @param {string} folderName - フォルダ名
+ * @param {Object} result - 検証結果 (images[].labels と thresholds を含む)
+ * @param {IntersectionObserver} observer - 画像の観察者
+ */
+function displayMultiLabelVerificationResult(container, projectName, folderName, result, observer) {
+  const groups = [...result.classes.map((label, index) => ({ name: label, index })), { name: '(none)', index: -1 }];
+
+  groups.forEach(group => {
+    const labelGroup = document.createElement('div');
+    labelGroup.classList.add('result-label-group');
+    labelGroup.dataset.labelName = group.name;
+
+    const labelNameElement = document.createElement('div');
+    labelNameElement.classList.add('result-label-name');
+    labelGroup.appendChild(labelNameElement);
+
+    const imagesContainer = document.createElement('div');
+    imagesContainer.classList.add('result-images-container');
+    imagesContainer.style.display = 'flex';
+    imagesContainer.style.flexWrap = 'wrap';
+
+    result.images
+      .filter(image => (group.index === -1 ? image.labels.length === 0 : image.labels.includes(group.name)))
+      .forEach(image => {
+        const imageCard = createImageCard(projectName, folderName, image.name);
+        observer.observe(imageCard);
+
+        // (none) のグループでは最も確度の高いラベルの確度を表示する
+        const shownIndex = group.index === -1 ? image.confidence.indexOf(Math.max(...image.confidence)) : group.index;
+        imageCard.querySelector('.confidence').textContent = `${(image.confidence[shownIndex] * 100).toFixed(1)}%`;
+
+        const labelConfidenceContainer = imageCard.querySelector('.label-confidence-container');
+        result.classes.forEach((lbl, i) => {
+          const labelConfidence = document.createElement('div');
+          labelConfidence.classList.add('label-confidence');
+          const mark = image.labels.includes(lbl) ? '✔ ' : '';
+          labelConfidence.textContent = `${mark}${(image.confidence[i] * 100).toFixed(1)}% ${resultLabelName(result, lbl)} (≥ ${(result.thresholds[lbl] * 100).toFixed(0)}%)`;
+          labelConfidenceContainer.appendChild(labelConfidence);
+        });
+
+        imagesContainer.appendChild(imageCard);
+      });
+
+    labelGroup.appendChild(imagesContainer);
+    labelNameElement.textContent = `${resultLabelName(result, group.name)} (${imagesContainer.querySelectorAll('.uploaded-image-card').length} images)`;
+    container.appendChild(labelGroup);
+  });
+}
+
+// ==============================
+// 4.10 物体検出
+// ==============================
+
+// 最後に描いた矩形のラベル (次の矩形のラベルの初期値)
+let lastBoxLabel = '';
+
+/**
+ * 物体検出のプロジェクトかを返す関数
+ * @returns {boolean}
+ */
+function isDetectionProject() {
+  return document.body.dataset.projectMode === 'detection';
+}
+
+/**
+ * 矩形の記録を取得する関数
+ * @param {string} projectName - プロジェクト名
+ * @returns {Promise<Object>} - { images: { "<フォルダ>/<ファイル名>": [{ label, x, y, width, height }, ...] } }
+ */
+async function fetchAnnotations(projectName) {
+  const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/annotations`);
+  if (!response.ok) {
+    throw new Error('矩形の記録の取得に失敗しました');
+  }
+  return await response.json();
+}
+
+/**
+ * 画像の矩形を返す関数 (記録の無い画像は null)
+ * @param {string} labelName - フォルダ名
+ * @param {string} imageName - 画像名
+ * @returns {Array<Object>|null}
+ */
+function boxesOfImage(labelName, imageName) {
+  return imageAnnotations.images[`${labelName}/${imageName}`] || null;
+}
+
+/**
+ * 画像カードに矩形の数を表示する関数 (記録の無い画像は学習に使われない)
+ * @param {HTMLElement} imageCard - 画像カード
+ */
+function renderBoxCount(imageCard) {
+  const boxes = boxesOfImage(imageCard.dataset.labelName, imageCard.dataset.imageName);
+  const boxCountSpan = imageCard.querySelector('.box-count');
+  boxCountSpan.textContent = boxes === null ? 'not annotated' : boxes.length === 0 ? 'no objects' : `${boxes.length} boxes`;
+  boxCountSpan.classList.toggle('unannotated', boxes === null);
+}
+
+/**
+ * 画像の矩形を保存する関数
+ * @param {HTMLElement} imageCard - 画像カード
+ * @param {Array<Object>|null} boxes - 矩形 (null で記録から外す)
+ * @returns {Promise<boolean>} - 保存できたか
+ */
+async function saveImageBoxes(imageCard, boxes) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const { labelName, imageName } = imageCard.dataset;
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/annotations/images`,
+    'PUT',
+    { image: `${labelName}/${imageName}`, boxes },
+    '矩形の保存に失敗しました'
+  ).catch(() => null);
+  if (!response) return false;
+
+  imageAnnotations = response.annotations;
+  renderBoxCount(imageCard);
+  return true;
+}
+
+/**
+ * 画像を読み込んで元の大きさを取得するための関数
+ * @param {string} imageSrc - 画像のソースURL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageElement(imageSrc) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = imageSrc;
+  });
+}
+
+/**
+ * 枠の中に縦横比を保って表示された画像の位置を返す関数 (background-size: contain と同じ配置)
+ * @param {number} containerAspect - 枠の縦横比 (幅 / 高さ)
+ * @param {number} imageAspect - 画像の縦横比 (幅 / 高さ)
+ * @returns {Object} - 枠に対する割合 (%) の { left, top, width, height }
+ */
+function containedRect(containerAspect, imageAspect) {
+  if (imageAspect >= containerAspect) {
+    const height = containerAspect / imageAspect * 100;
+    return { left: 0, top: (100 - height) / 2, width: 100, height };
+  }
+  const width = imageAspect / containerAspect * 100;
+  return { left: (100 - width) / 2, top: 0, width, height: 100 };
+}
+
+/**
+ * 画像に重ねて矩形を描く要素を作成する関数
+ * @param {Object} rect - containedRect の戻り値
+ * @returns {HTMLElement}
+ */
+function createBoxLayer(rect) {
+  const boxLayer = document.createElement('div');
+  boxLayer.classList.add('box-layer');
+  boxLayer.style.left = `${rect.left}%`;
+  boxLayer.style.top = `${rect.top}%`;
+  boxLayer.style.width = `${rect.width}%`;
+  boxLayer.style.height = `${rect.height}%`;
+  return boxLayer;
+}
+
+/**
+ * 矩形を描く関数 (座標は画像に対する割合)
+ * @param {HTMLElement} boxLayer - createBoxLayer で作成した要素
+ * @param {Array<Object>} boxes - { label, x, y, width, height, score? } の配列
+ * @param {boolean} editable - × ボタンで削除できるようにするか
+ */
+function renderBoxes(boxLayer, boxes, editable) {
+  boxLayer.querySelectorAll('.box').forEach(element => element.remove());
+  boxes.forEach((box, index) => {
+    const boxElement = document.createElement('div');
+    boxElement.classList.add('box');
+    boxElement.style.left = `${box.x * 100}%`;
+    boxElement.style.top = `${box.y * 100}%`;
+    boxElement.style.width = `${box.width * 100}%`;
+    boxElement.style.height = `${box.height * 100}%`;
+
+    const boxLabel = document.createElement('span');
+    boxLabel.classList.add('box-label');
+    boxLabel.textContent = typeof box.score === 'number' ? `${box.label} ${(box.score * 100).toFixed(0)}%` : box.label;
+    boxElement.appendChild(boxLabel);
+
+    if (editable) {
+      const removeButton = document.createElement('button');
+      removeButton.classList.add('box-remove');
+      removeButton.textContent = '×';
+      removeButton.addEventListener('mousedown', (event) => event.stopPropagation());
+      removeButton.addEventListener('click', () => {
+        boxes.splice(index, 1);
+        renderBoxes(boxLayer, boxes, editable);
+      });
+      boxElement.appendChild(removeButton);
+    }
+    boxLayer.appendChild(boxElement);
+  });
+}
+
+/**
+ * 拡大表示した画像に矩形を重ね、editable ならドラッグで矩形を描けるようにする関数
+ * @param {HTMLElement} imageContainer - 拡大表示のコンテナ
+ * @param {string} imageSrc - 画像のソースURL
+ * @param {Object} boxOptions - { boxes, editable, onSave }
+ * @returns {Promise<void>}
+ */
+async function setupBoxLayer(imageContainer, imageSrc, { boxes, editable, onSave }) {
+  const imagePlaceholder = imageContainer.querySelector('.enlarged-image-placeholder');
+  const img = await loadImageElement(imageSrc);
+  const boxLayer = createBoxLayer(containedRect(imagePlaceholder.clientWidth / imagePlaceholder.clientHeight, img.naturalWidth / img.naturalHeight));
+  // 保存するまで元の配列は変更しない
+  const editedBoxes = boxes.map(box => ({ ...box }));
+  renderBoxes(boxLayer, editedBoxes, editable);
+  imagePlaceholder.appendChild(boxLayer);
+  if (!editable) return;
+
+  boxLayer.classList.add('editable');
+  // マウスの位置を画像に対する割合 (0 - 1) で返す
+  const pointOf = (event) => {
+    const rect = boxLayer.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1),
+    };
+  };
+  boxLayer.addEventListener('mousedown', (event) => {
+    event.preventDefault();
+    const start = pointOf(event);
+    const drawing = document.createElement('div');
+    drawing.classList.add('box', 'drawing');
+    boxLayer.appendChild(drawing);
+    let box = { x: start.x, y: start.y, width: 0, height: 0 };
+
+    const handleMove = (moveEvent) => {
+      const point = pointOf(moveEvent);
+      box = { x: Math.min(start.x, point.x), y: Math.min(start.y, point.y), width: Math.abs(point.x - start.x), height: Math.abs(point.y - start.y) };
+      drawing.style.left = `${box.x * 100}%`;
+      drawing.style.top = `${box.y * 100}%`;
+      drawing.style.width = `${box.width * 100}%`;
+      drawing.style.height = `${box.height * 100}%`;
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      drawing.remove();
+      // クリックしただけの小さな矩形は無視する
+      if (box.width < 0.01 || box.height < 0.01) return;
+      const label = prompt('矩形のラベル', lastBoxLabel);
+      if (!label || !label.trim()) return;
+      lastBoxLabel = label.trim();
+      editedBoxes.push({ label: lastBoxLabel, ...box });
+      renderBoxes(boxLayer, editedBoxes, true);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  });
+
+  // 保存 / 全削除 / 学習から除外 (保存できたら拡大表示を閉じる)
+  const toolbar = document.createElement('div');
+  toolbar.classList.add('box-toolbar');
+  const hint = document.createElement('span');
+  hint.textContent = 'ドラッグで矩形を追加';
+  toolbar.appendChild(hint);
+  const addButton = (name, handleClick) => {
+    const button = document.createElement('button');
+    button.textContent = name;
+    button.addEventListener('click', handleClick);
+    toolbar.appendChild(button);
+  };
+  const saveAndClose = async (boxesToSave) => {
+    if (await onSave(boxesToSave)) {
+      imageContainer.remove();
+    }
+  };
+  addButton('Save', () => saveAndClose(editedBoxes));
+  addButton('Clear', () => {
+    editedBoxes.length = 0;
+    renderBoxes(boxLayer, editedBoxes, true);
+  });
+  addButton('Exclude', () => saveAndClose(null));
+  imageContainer.appendChild(toolbar);
+}
+
+/**
+ * 物体検出の検証結果を表示する関数
+ * 画像は検出したラベルすべてのグループに表示し、何も検出しなかった画像は (none) にまとめる
+ * @param {HTMLElement} container - 結果を表示する要素
+ * @param {string} projectName - プロジェクト名
+ * @param {string} folderName - フォルダ名
+ * @param {Object} result - 検証結果 (images[].detections を含む)
+ * @param {IntersectionObserver} observer - 画像の観察者
+ */
+function displayDetectionVerificationResult(container, projectName, folderName, result, observer) {
+  [...result.classes, '(none)'].forEach(label => {
+    const labelGroup = document.createElement('div');
+    labelGroup.classList.add('result-label-group');
+    labelGroup.dataset.labelName = label;
+
+    const labelNameElement = document.createElement('div');
+    labelNameElement.classList.add('result-label-name');
+    labelGroup.appendChild(labelNameElement);
+
+    const imagesContainer = document.createElement('div');
+    imagesContainer.classList.add('result-images-container');
+    imagesContainer.style.display = 'flex';
+    imagesContainer.style.flexWrap = 'wrap';
+
+    result.images
+      .filter(image => (label === '(none)' ? image.detections.length === 0 : image.detections.some(detection => detection.label === label)))
+      .forEach(image => {
+        const imageCard = createImageCard(projectName, folderName, image.name, image.detections);
+        observer.observe(imageCard);
+        imageCard.querySelector('.confidence').textContent = `${image.detections.length} boxes`;
+
+        const labelConfidenceContainer = imageCard.querySelector('.label-confidence-container');
+        image.detections.forEach(detection => {
+          const labelConfidence = document.createElement('div');
+          labelConfidence.classList.add('label-confidence');
+          labelConfidence.textContent = `${(detection.score * 100).toFixed(1)}% ${resultLabelName(result, detection.label)}`;
+          labelConfidenceContainer.appendChild(labelConfidence);
+        });
+
+        imagesContainer.appendChild(imageCard);
+      });
+
+    labelGroup.appendChild(imagesContainer);
+    labelNameElement.textContent = `${resultLabelName(result, label)} (${imagesContainer.querySelectorAll('.uploaded-image-card').length} images)`;
+    container.appendChild(labelGroup);
+  });
+}
+
+// ==============================
+// 4.11 読み込めなかった画像
+// ==============================
+
+/**
+ * 学習・検証で読み込めずに除外した画像の一覧を表示する関数
+ * 学習用の画像は削除するか別のラベルへ移動でき、検証用の画像は削除できる
+ * @param {string} projectName - プロジェクト名
+ * @param {Array<Object>} skipped - 除外した画像 [{ path, reason }] (学習用は "<ラベル>/<ファイル名>"、検証用はファイル名)
+ * @param {string|null} folderName - 検証用フォルダ名 (学習用の画像の場合は null)
+ * @returns {Promise<void>}
+ */
+async function displaySkippedImages(projectName, skipped, folderName = null) {
+  if (!skipped || skipped.length === 0) return;
+  const panel = createOverlayPanel(skippedTitle(skipped));
+  await appendSkippedImages(panel, projectName, skipped, folderName);
+}
+
+// 除外した画像の一覧の見出し
+function skippedTitle(skipped) {
+  return `読み込めなかった画像 (${skipped.length} 枚) は除外しました`;
+}
+
+/**
+ * 除外した画像の一覧をパネルに追加する関数 (交差検証の結果パネルにも使う)
+ * @param {HTMLElement} panel - 追加先のパネル
+ * @param {string} projectName - プロジェクト名
+ * @param {Array<Object>} skipped - 除外した画像 [{ path, reason }]
+ * @param {string|null} folderName - 検証用フォルダ名 (学習用の画像の場合は null)
+ * @returns {Promise<void>}
+ */
+async function appendSkippedImages(panel, projectName, skipped, folderName = null) {
+  const labels = folderName === null
+    ? (await fetchLabelList(projectName)).filter(label => label.isDirectory).map(label => label.name)
+    : [];
+  const list = document.createElement('ul');
+  list.classList.add('skipped-image-list');
+
+  skipped.forEach(({ path, reason }) => {
+    const item = document.createElement('li');
+    const name = document.createElement('div');
+    name.classList.add('skipped-image-path');
+    name.textContent = folderName === null ? path : `${folderName}/${path}`;
+    const detail = document.createElement('div');
+    detail.classList.add('skipped-image-reason');
+    detail.textContent = reason;
+    item.append(name, detail);
+
+    const actions = document.createElement('div');
+    actions.classList.add('skipped-image-actions');
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+      try {
+        if (folderName === null) {
+          await deleteTrainingImage(projectName, path);
+        } else {
+          await deleteVerifyImage(projectName, folderName, path);
+        }
+        item.remove();
+      } catch (error) {
+        // エラーは deleteTrainingImage / deleteVerifyImage で表示済み
+        console.error(error);
+      }
+    });
+    actions.appendChild(deleteButton);
+
+    if (folderName === null) {
+      const [sourceLabel, imageName] = path.split('/');
+      const labelSelect = document.createElement('select');
+      labels.filter(label => label !== sourceLabel).forEach(label => labelSelect.add(new Option(label, label)));
+      const moveButton = document.createElement('button');
+      moveButton.textContent = 'Move';
+      moveButton.disabled = labelSelect.options.length === 0;
+      moveButton.addEventListener('click', async () => {
+        try {
+          await moveImage(projectName, imageName, sourceLabel, labelSelect.value);
+          socket.emit('moveImageComp');
+          item.remove();
+        } catch (error) {
+          console.error(error);
+        }
+      });
+      actions.append(labelSelect, moveButton);
+    }
+
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+}
+
+/**
+ * ack 付きでイベントを送り、サーバーの結果を待つ関数 (結果のイベントのリスナーを登録しないので、他の要求の結果と混ざらない)
+ * @param {string} event - イベント名
+ * @param {Object} data - 送信するデータ
+ * @returns {Promise<Object>} - サーバーの結果 ({ ok, message | error, details })
+ */
+async function emitWithAck(event, data) {
+  const response = await new Promise(resolve => socket.emit(event, data, resolve));
+  if (!response.ok) {
+    handleError(response.error, response.details || response.error);
+    throw new Error(response.error);
+  }
+  console.log(response.message);
+  return response;
+}
+
+/**
+ * 学習用の画像を 1 枚削除する関数
+ * @param {string} projectName - プロジェクト名
+ * @param {string} imagePath - training-data からの相対パス ("<ラベル>/<ファイル名>")
+ * @returns {Promise<void>}
+ */
+async function deleteTrainingImage(projectName, imagePath) {
+  const [labelName, imageName] = imagePath.split('/');
+  await emitWithAck('deleteImage', { projectName, imageName, labelName });
+  socket.emit('deleteImageComp');
+}
+
+/**
+ * 検証用の画像を 1 枚削除する関数
+ * @param {string} projectName - プロジェクト名
+ * @param {string} folderName - 検証用フォルダ名
+ * @param {string} imageName - 画像ファイル名
+ * @returns {Promise<void>}
+ */
+async function deleteVerifyImage(projectName, folderName, imageName) {
+  await emitWithAck('deleteVerifyImage', { projectName, folderName, imageName });
+}
+
+// ==============================
+// 4.12 ラベルの登録簿
+// ==============================
+
+/**
+ * ラベルの登録簿を取得する関数 (まだ登録されていないラベルは id が null で末尾に入る)
+ * @param {string} projectName - プロジェクト名
+ * @returns {Promise<Object>} - { nextId, labels: [{ id, name, displayName }] }
+ */
+async function fetchLabelRegistry(projectName) {
+  const response = await fetch(`${API_BASE_URL}/project/${encodeURIComponent(projectName)}/labels`);
+  if (!response.ok) {
+    throw new Error('ラベルの登録簿の取得に失敗しました');
+  }
+  return await response.json();
+}
+
+/**
+ * ラベルのフォルダ一覧を登録簿の順番に並べ替える関数 (登録簿に無いものは末尾)
+ * @param {Array<Object>} labelList - /directory のラベルのフォルダ一覧
+ * @returns {Array<Object>} - 並べ替えた一覧
+ */
+function sortByLabelRegistry(labelList) {
+  const order = labelRegistry.labels.map(label => label.name);
+  const position = name => (order.includes(name) ? order.indexOf(name) : order.length);
+  return [...labelList].sort((a, b) => position(a.name) - position(b.name));
+}
+
+/**
+ * ラベルの表示名を返す関数 (登録簿に無ければラベル名)
+ * @param {string} labelName - ラベル名
+ * @returns {string}
+ */
+function labelDisplayName(labelName) {
+  const label = labelRegistry.labels.find(entry => entry.name === labelName);
+  return label ? label.displayName : labelName;
+}
+
+/**
+ * 検証結果のラベルの表示名を返す関数 (検証時の登録簿の表示名)
+ * @param {Object} result - 検証結果 (labels: [{ id, name, displayName }])
+ * @param {string} labelName - ラベル名
+ * @returns {string}
+ */
+function resultLabelName(result, labelName) {
+  const label = (result.labels || []).find(entry => entry.name === labelName);
+  return label ? label.displayName : labelName;
+}
+
+/**
+ * 登録簿の順番と表示名を保存し、ラベルの表示を更新する関数 (id が null のラベルはこの時に登録される)
+ * @param {Array<Object>} labels - 新しい順番に並べた全ラベル [{ id, name, displayName }]
+ * @returns {Promise<void>}
+ */
+async function saveLabelRegistry(labels) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await sendRequest(
+    `${API_BASE_URL}/project/${encodeURIComponent(projectName)}/labels`,
+    'PUT',
+    { labels },
+    'ラベルの登録簿の保存に失敗しました'
+  ).catch(() => null);
+  if (!response) return;
+
+  labelRegistry = response.registry;
+  await displayEachLabelImages();
+  displaySidebarLabelList(await fetchLabelList(projectName));
+  updateActiveLabel();
+}
+
+/**
+ * ラベルの表示名を変更する関数 (空欄でラベル名に戻す)
+ * @param {string} labelName - ラベル名
+ * @returns {Promise<void>}
+ */
+async function renameLabel(labelName) {
+  const input = prompt(`"${labelName}" の表示名 (空欄でラベル名に戻します)`, labelDisplayName(labelName));
+  if (input === null) return;
+
+  await saveLabelRegistry(labelRegistry.labels.map(label => ({
+    id: label.id,
+    name: label.name,
+    displayName: label.name === labelName ? input.trim() : label.displayName,
+  })));
+}
+
+/**
+ * ラベルを登録簿の中で 1 つ前 / 後ろに移動する関数 (学習したモデルの出力の順番になる)
+ * @param {string} labelName - ラベル名
+ * @param {number} offset - -1: 前へ / 1: 後ろへ
+ * @returns {Promise<void>}
+ */
+async function moveLabelInRegistry(labelName, offset) {
+  const labels = labelRegistry.labels.map(label => ({ id: label.id, displayName: label.displayName, name: label.name }));
+  const index = labels.findIndex(label => label.name === labelName);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= labels.length) return;
+
+  [labels[index], labels[target]] = [labels[target], labels[index]];
+  await saveLabelRegistry(labels);
+}
+
+/**
+ * サイドバーのラベルに付ける並べ替えボタン (▲ / ▼) を作成する関数
+ * @param {string} labelName - ラベル名
+ * @returns {HTMLElement}
+ */
+function createLabelOrderButtons(labelName) {
+  const buttons = document.createElement('span');
+  buttons.classList.add('label-order-buttons');
+  [['▲', -1], ['▼', 1]].forEach(([text, offset]) => {
+    const button = document.createElement('span');
+    button.textContent = text;
+    button.addEventListener('click', (event) => {
+      // ラベルの絞り込み (ラベルのクリック) にしない
+      event.stopPropagation();
+      moveLabelInRegistry(labelName, offset);
+    });
+    button.addEventListener('dblclick', event => event.stopPropagation());
+    buttons.appendChild(button);
+  });
+  return buttons;
+}
+
+// ==============================
+// 5. 画像アップロード
+// ==============================
+
+/**
+ * 画像アップロード処理
+ * @param {FileList} files - アップロードするファイルリスト
+ * @param {string} targetDirectory - アップロード先のディレクトリ
+ */
+async function uploadImages(files, targetDirectory) {
+  const [_, projectName, labelName] = targetDirectory.split('/');
+  const uploadPromises = [];
+
+  for (const file of files) {
+    if (file.size > 1024 * 1024) {
+      console.error(`アップロードする画像は1MB未満にしてください (画像名: ${file.name})`);
+      continue;
+    }
+    try {
+      const fileData = await file.arrayBuffer();
+      uploadPromises.push(socket.emit('upload', {
+        projectName,
+        labelName,
+        fileData,
+        fileName: file.name,
+      }));
+    } catch (error) {
+      handleError(error, '画像のアップロード中にエラーが発生しました');
+    }
+  }
+
+  await Promise.all(uploadPromises);
+  socket.emit('uploadComp'); 
+}
+
+/**
+ * 画像を移動する関数
+ * @param {string} projectName - プロジェクト名
+ * @param {string} imageName - 画像名
+ * @param {string} sourceLabel - 元のラベル
+ * @param {string} targetLabel - 移動先のラベル
+ * @returns {Promise<void>}
+ */
+async function moveImage(projectName, imageName, sourceLabel, targetLabel) {
+  socket.emit('moveImage', { projectName, imageName, sourceLabel, targetLabel });
+
+  return new Promise((resolve, reject) => {
+    socket.once('moveImageSuccess', (data) => {
+      console.log(data.message);
+      resolve();
+    });
+
+    socket.once('moveImageError', (data) => {
+      handleError(data.error, data.details);
+      reject(new Error(data.error));
+    });
+  });
+}
+
+// ==============================
+// 6. 初期化
+// ==============================
+
+/**
+ * 初期化関数
+ */
+async function init() {
+  await setupUI();
+  socket = io(API_BASE_URL);
+  console.log('サーバーに接続しました');
+
+  // プロジェクトのルームに参加する (再接続時も参加し直し、実行中の学習の進捗を受け取る)
+  socket.on('connect', () => {
+    const projectName = document.getElementById("projectLink").textContent.trim();
+    socket.emit('joinProject', { projectName });
+  });
+
+  // ソケットイベントリスナー設定
+  socket.on('uploadSuccess', (data) => console.log(data.message, data.fileName));
+  socket.on('uploadError', (data) => handleError(data.error, data.details));
+  socket.on('updateProgress', (progress) => updateProgress(progress));
+  socket.on('trainMetrics', (metrics) => {
+    updateTrainMetrics(metrics);
+    recordTrainMetrics(metrics);
+  });
+  socket.on('trainStopped', (stopping) => displayTrainStopped(stopping));
+  socket.on('trainingJobs', (data) => displayJobQueue(data.jobs));
+  socket.on('trainingJobQueued', (data) => startedJobIds.add(data.job.id));
+  socket.on('learnCompleted', (data) => {
+    console.log(data.message, data.final);
+    const valScore = data.final && typeof data.final.valAcc === 'number'
+      ? `\n検証精度: ${(data.final.valAcc * 100).toFixed(1)}% (loss ${formatMetric(data.final.valLoss)})`
+      : '';
+    const stopping = data.stopping ? `\n${formatStopping(data.stopping)}` : '';
+    const startedHere = startedJobIds.has(data.jobId);
+    notifyJobFinished(data, `${data.message}${valScore}${stopping}${skippedNote(data.skipped)}`);
+    if (startedHere) {
+      displaySkippedImages(document.getElementById("projectLink").textContent.trim(), data.skipped);
+    }
+  });
+  socket.on('crossValidationFold', (data) => displayCrossValidationFold(data));
+  socket.on('searchTrial', (data) => handleSearchTrial(data));
+  socket.on('searchCompleted', (data) => {
+    const best = data.best && data.best.final && typeof data.best.final.valAcc === 'number'
+      ? `\n最良の試行: #${data.best.trial} (検証精度 ${formatPercent(data.best.final.valAcc)})`
+      : '';
+    const startedHere = startedJobIds.has(data.jobId);
+    notifyJobFinished(data, `${data.message}${best}\nリーダーボードからモデルをアクティブにできます。${skippedNote(data.skipped)}`);
+    refreshLeaderboard();
+    if (startedHere) {
+      displaySkippedImages(document.getElementById("projectLink").textContent.trim(), data.skipped);
+    }
+  });
+  socket.on('crossValidationCompleted', (data) => handleCrossValidationCompleted(data));
+  socket.on('learnError', (data) => {
+    // jobId が無いのは待機列への追加に失敗した場合
+    if (!data.jobId || startedJobIds.delete(data.jobId)) {
+      handleError(data.error, data.details);
+    } else {
+      notifyJobFinished(data, `${data.error} ${data.details}`);
+    }
+  });
+  socket.on('learnCancelled', (data) => {
+    console.log(data.message);
+    notifyJobFinished(data, data.message);
+  });
+  socket.on('cancelTrainingError', (data) => {
+    handleError(data.error, data.error);
+    document.getElementById('LearnStopButton').disabled = false;
+  });
+  socket.on('verificationResult', (data) => {
+    const { projectName, folderName, result } = data;
+    console.log('検証結果:', result); 
+    displayVerificationResult(projectName, folderName, result);
+    displaySkippedImages(projectName, result.skipped, folderName);
+  });
+  // ラベルの登録簿とモデルが一致しない場合などは検証結果を表示せずに知らせる
+  socket.on('verificationError', (data) => handleError(data.details, `${data.error}\n${data.details}`));
+  socket.on('model-versions-changed', (data) => {
+    const projectName = document.getElementById("projectLink").textContent.trim();
+    if (data.projectName === projectName && document.getElementById('versionListContainer').style.display === 'block') {
+      displayVersionList();
+    }
+  });
+  socket.on('image-data-changed', async () => {
+    updateImageCount();
+    await displayEachLabelImages();
+    const projectName = document.getElementById("projectLink").textContent.trim();
+    displaySidebarLabelList(await fetchLabelList(projectName));
+    updateActiveLabel();
+  });
+}
+
+// DOMContentLoadedイベントリスナー設定
+document.addEventListener('DOMContentLoaded', init);
+
+// ==============================
+// UI 初期設定
+// ==============================
+
+/**
+ * UI 初期設定関数
  * @returns {Promise<void>}
  */
 async function setupUI() {
@@ -871,6 +2794,12 @@ async function setupUI() {
   await displayEachLabelImages();
   setupSidebarLabelToggle();
   setupSidebarCheckToggle();
+  setupSidebarTrainSettingsToggle();
+  setupSidebarAugmentationToggle();
+  setupSidebarVersionsToggle();
+  setupSidebarSearchToggle();
+  setupSidebarThresholdsToggle();
+  document.getElementById('trainCharts').addEventListener('click', () => showTrainChartsOverlay('Current run', liveTrainHistory, liveTrainEpochs));
   const projectName = document.getElementById("projectLink").textContent.trim();
   displaySidebarLabelList(await fetchLabelList(projectName));
   window.addEventListener('scroll', updateActiveLabel);
@@ -983,8 +2912,13 @@ function setupImageHoverEvents() {
       const projectName = document.getElementById("projectLink").textContent.trim();
       const labelName = imageCard.dataset.labelName;
       const imageName = imageCard.dataset.imageName;
-      const imageSrc = `http://localhost:3000/images?path=/projects/${projectName}/training-data/${labelName}/${encodeURIComponent(imageName)}`;
-      enlargeImage(imageSrc);
+      const imageSrc = imageUrl(`/projects/${projectName}/training-data/${labelName}`, imageName);
+      // 物体検出のプロジェクトでは拡大表示で矩形を描いて保存できる
+      enlargeImage(imageSrc, isDetectionProject() ? {
+        boxes: boxesOfImage(labelName, imageName) || [],
+        editable: true,
+        onSave: boxes => saveImageBoxes(imageCard, boxes),
+      } : null);
     }
   });
 
@@ -1011,8 +2945,9 @@ function setupImageHoverEvents() {
 /**
  * 画像を拡大表示する関数
  * @param {string} imageSrc - 画像のソースURL
+ * @param {Object|null} [boxOptions] - 物体検出の矩形 { boxes, editable, onSave } (editable なら描画・削除して onSave で保存できる)
  */
-async function enlargeImage(imageSrc) {
+async function enlargeImage(imageSrc, boxOptions = null) {
   let imageContainer = document.querySelector('.enlarged-image-container');
 
   if (!imageContainer) {
@@ -1039,11 +2974,15 @@ async function enlargeImage(imageSrc) {
     // 既存のプレースホルダーをリセット
     const imagePlaceholder = imageContainer.querySelector('.enlarged-image-placeholder');
     imagePlaceholder.style.backgroundImage = '';
+    imageContainer.querySelectorAll('.box-layer, .box-toolbar').forEach(element => element.remove());
   }
 
   try {
     const imagePlaceholder = imageContainer.querySelector('.enlarged-image-placeholder');
     await lazyLoadImage(imageSrc, 1.0, imagePlaceholder);
+    if (boxOptions) {
+      await setupBoxLayer(imageContainer, imageSrc, boxOptions);
+    }
   } catch (error) {
     handleError(error, "画像の取得に失敗しました。");
     imageContainer.querySelector('.enlarged-image-placeholder').dispatchEvent(new CustomEvent('loadingComplete'));
@@ -1054,6 +2993,47 @@ async function enlargeImage(imageSrc) {
 // サイドバートグル
 // ==============================
 
+/**
+ * サイドバー学習設定のトグル設定関数
+ */
+function setupSidebarTrainSettingsToggle() {
+  const sidebarTrainSettings = document.getElementById('sidebarTrainSettings');
+  const trainSettingsForm = document.getElementById('trainSettingsForm');
+  const trainSettingsToggleIcon = document.getElementById('trainSettingsToggleIcon');
+
+  sidebarTrainSettings.addEventListener('click', () => {
+    toggleElementDisplay(trainSettingsForm);
+    trainSettingsToggleIcon.textContent = trainSettingsForm.style.display === 'block' ? '︿' : '﹀';
+  });
+
+  // Enter キーでフォームが送信されないようにする
+  trainSettingsForm.addEventListener('submit', (event) => event.preventDefault());
+
+  // 警告の比率が変わったら偏りを再チェック
+  trainSettingsForm.elements.imbalanceRatio.addEventListener('change', updateImbalanceWarning);
+
+  // 透過画像の背景色はプロジェクト設定として保存する
+  document.getElementById('imageBackground').addEventListener('change', saveImageBackground);
+}
+
+/**
+ * サイドバーデータ拡張設定のトグル設定関数
+ */
+function setupSidebarAugmentationToggle() {
+  const sidebarAugmentation = document.getElementById('sidebarAugmentation');
+  const augmentationForm = document.getElementById('augmentationForm');
+  const augmentationToggleIcon = document.getElementById('augmentationToggleIcon');
+
+  sidebarAugmentation.addEventListener('click', () => {
+    toggleElementDisplay(augmentationForm);
+    augmentationToggleIcon.textContent = augmentationForm.style.display === 'block' ? '︿' : '﹀';
+  });
+
+  // 変更のたびにプロジェクト設定として保存する
+  augmentationForm.addEventListener('change', saveAugmentationSettings);
+  augmentationForm.addEventListener('submit', (event) => event.preventDefault());
+}
+
 /**
  * サイドバーラベルのトグル設定関数
  */
@@ -1194,7 +3174,7 @@ async function displayUploadedImages(projectName, folderName, container) {
     for (const image of imageList) {
       if (!image.isDirectory) {
         const imageCard = createImageCard(projectName, folderName, image.name);
-        const imageSrc = `/projects/${projectName}/verify-data/${folderName}/${encodeURIComponent(image.name)}`;
+        const imageSrc = imageUrl(`/projects/${projectName}/verify-data/${folderName}`, image.name);
         lazyLoadImage(imageSrc, imageScale, imageCard.querySelector('.image-placeholder')).catch(() => {});
         imageCard.addEventListener('contextmenu', (event) => {
           event.preventDefault();
@@ -1213,9 +3193,10 @@ async function displayUploadedImages(projectName, folderName, container) {
  * @param {string} projectName - プロジェクト名
  * @param {string} folderName - フォルダ名
  * @param {string} imageName - 画像名
+ * @param {Array<Object>|null} [boxes] - 物体検出の結果 (カードと拡大表示に矩形を描く)
  * @returns {HTMLElement} - 作成した画像カード
  */
-function createImageCard(projectName, folderName, imageName) {
+function createImageCard(projectName, folderName, imageName, boxes = null) {
   const imageCard = document.createElement('div');
   imageCard.classList.add('uploaded-image-card');
   imageCard.dataset.imageName = imageName;
@@ -1224,7 +3205,7 @@ function createImageCard(projectName, folderName, imageName) {
   imagePlaceholder.classList.add('image-placeholder');
   imageCard.appendChild(imagePlaceholder);
 
-  const imageSrc = `/projects/${projectName}/verify-data/${folderName}/${encodeURIComponent(imageName)}`;
+  const imageSrc = imageUrl(`/projects/${projectName}/verify-data/${folderName}`, imageName);
   imagePlaceholder.style.backgroundImage = `url("${imageSrc}")`;
 
   const imageNameSpan = document.createElement('span');
@@ -1255,10 +3236,20 @@ function createImageCard(projectName, folderName, imageName) {
   labelConfidenceContainer.style.maxHeight = '80px';
   imageCard.appendChild(labelConfidenceContainer);
 
+  // 物体検出の結果は画像全体を表示して矩形を重ねる
+  if (boxes) {
+    imagePlaceholder.classList.add('detection-placeholder');
+    loadImageElement(imageSrc).then(img => {
+      const boxLayer = createBoxLayer(containedRect(1, img.naturalWidth / img.naturalHeight));
+      renderBoxes(boxLayer, boxes, false);
+      imageCard.appendChild(boxLayer);
+    }).catch(() => {});
+  }
+
   // 右クリックメニューの無効化と画像拡大表示
   imageCard.addEventListener('contextmenu', (event) => {
     event.preventDefault();
-    enlargeImage(imageSrc);
+    enlargeImage(imageSrc, boxes ? { boxes, editable: false } : null);
   });
 
   return imageCard;
@@ -1286,13 +3277,22 @@ async function displayVerificationResult(projectName, folderName, result) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         const imageCard = entry.target;
-        const imageSrc = `/projects/${projectName}/verify-data/${folderName}/${encodeURIComponent(imageCard.dataset.imageName)}`;
+        const imageSrc = imageUrl(`/projects/${projectName}/verify-data/${folderName}`, imageCard.dataset.imageName);
         lazyLoadImage(imageSrc, imageScale, imageCard.querySelector('.image-placeholder')).catch(() => {});
         observer.unobserve(imageCard);
       }
     });
   });
 
+  if (result.multiLabel) {
+    displayMultiLabelVerificationResult(uploadedImagesContainer, projectName, folderName, result, observer);
+    return;
+  }
+  if (result.detection) {
+    displayDetectionVerificationResult(uploadedImagesContainer, projectName, folderName, result, observer);
+    return;
+  }
+
   result.classes.forEach((label, index) => {
     const labelGroup = document.createElement('div');
     labelGroup.classList.add('result-label-group');
@@ -1300,7 +3300,7 @@ async function displayVerificationResult(projectName, folderName, result) {
 
     const labelNameElement = document.createElement('div');
     labelNameElement.classList.add('result-label-name');
-    labelNameElement.textContent = label;
+    labelNameElement.textContent = resultLabelName(result, label);
     labelGroup.appendChild(labelNameElement);
 
     const imagesContainer = document.createElement('div');
@@ -1315,7 +3315,7 @@ async function displayVerificationResult(projectName, folderName, result) {
         observer.observe(imageCard);
         imageCard.addEventListener('contextmenu', (event) => {
           event.preventDefault();
-          const imageSrc = `/projects/${projectName}/verify-data/${folderName}/${encodeURIComponent(image.name)}`;
+          const imageSrc = imageUrl(`/projects/${projectName}/verify-data/${folderName}`, image.name);
           enlargeImage(imageSrc);
         });
 
@@ -1326,7 +3326,7 @@ async function displayVerificationResult(projectName, folderName, result) {
         result.classes.forEach((lbl, i) => {
           const labelConfidence = document.createElement('div');
           labelConfidence.classList.add('label-confidence');
-          labelConfidence.textContent = `${(image.confidence[i] * 100).toFixed(1)}% ${lbl}`;
+          labelConfidence.textContent = `${(image.confidence[i] * 100).toFixed(1)}% ${resultLabelName(result, lbl)}`;
           labelConfidenceContainer.appendChild(labelConfidence);
         });
 
@@ -1335,7 +3335,7 @@ async function displayVerificationResult(projectName, folderName, result) {
     });
 
     labelGroup.appendChild(imagesContainer);
-    labelNameElement.textContent = `${label} (${imagesContainer.querySelectorAll('.uploaded-image-card').length} images)`;
+    labelNameElement.textContent = `${resultLabelName(result, label)} (${imagesContainer.querySelectorAll('.uploaded-image-card').length} images)`;
     uploadedImagesContainer.appendChild(labelGroup);
   });
 }
\ No newline at end of file
@@ -0,0 +1,76 @@
+const path = require('path')
+
+// 特徴抽出モデル (バックボーン) の保存先 (環境変数 FEATURE_MODELS_DIR で上書き可)
+const modelsDir = process.env.FEATURE_MODELS_DIR || path.join(__dirname, '..', 'models')
+
+// 選択できるバックボーンの一覧 (MobileNet の feature vector モデル)
+//   id:         特徴キャッシュのキーと保存先ディレクトリ名に使う ID (モデルを差し替えたら変更する)
+//   inputSize:  入力画像の一辺のピクセル数
+//   featureDim: 出力する特徴ベクトルの次元数
+//   remoteUrl:  配布元の URL (ローカルに無い場合と import コマンドで使用)
+//   layersInputRange: ファインチューニング用の layers model (Keras の MobileNet を変換したもの) が受け取る画素値の範囲
+//                     (MobileNetV2 は [-1, 1]、前処理を内蔵した MobileNetV3 は [0, 255])
+const backbones = [
+  {
+    id: 'mobilenet-v2-140-224',
+    name: 'MobileNet v2 1.40 (224)',
+    inputSize: 224,
+    featureDim: 1792,
+    remoteUrl: 'https://www.kaggle.com/models/google/mobilenet-v2/TfJs/140-224-feature-vector/3',
+    layersInputRange: [-1, 1],
+  },
+  {
+    id: 'mobilenet-v2-100-224',
+    name: 'MobileNet v2 1.00 (224)',
+    inputSize: 224,
+    featureDim: 1280,
+    remoteUrl: 'https://www.kaggle.com/models/google/mobilenet-v2/TfJs/100-224-feature-vector/3',
+    layersInputRange: [-1, 1],
+  },
+  {
+    id: 'mobilenet-v2-050-160',
+    name: 'MobileNet v2 0.50 (160)',
+    inputSize: 160,
+    featureDim: 1280,
+    remoteUrl: 'https://www.kaggle.com/models/google/mobilenet-v2/TfJs/050-160-feature-vector/3',
+    layersInputRange: [-1, 1],
+  },
+  {
+    id: 'mobilenet-v3-large-100-224',
+    name: 'MobileNet v3 Large 1.00 (224)',
+    inputSize: 224,
+    featureDim: 1280,
+    remoteUrl: 'https://www.kaggle.com/models/google/mobilenet-v3/TfJs/large-100-224-feature-vector/5',
+    layersInputRange: [0, 255],
+  },
+  {
+    id: 'mobilenet-v3-small-100-224',
+    name: 'MobileNet v3 Small 1.00 (224)',
+    inputSize: 224,
+    featureDim: 1024,
+    remoteUrl: 'https://www.kaggle.com/models/google/mobilenet-v3/TfJs/small-100-224-feature-vector/5',
+    layersInputRange: [0, 255],
+  },
+].map(backbone => ({
+  ...backbone,
+  // ローカルに保存したモデルのディレクトリ
+  localDir: path.join(modelsDir, `${backbone.id}-feature-vector`),
+  // ファインチューニング用の学習可能な layers model のディレクトリ (import コマンドの --layers で取り込む)
+  layersDir: path.join(modelsDir, `${backbone.id}-layers`),
+}))
+
+// 既定のバックボーン (FEATURE_MODEL_DIR は以前からの設定で、このモデルの保存先だけを上書きする)
+const defaultBackbone = backbones[0]
+if (process.env.FEATURE_MODEL_DIR) {
+  defaultBackbone.localDir = process.env.FEATURE_MODEL_DIR
+}
+
+module.exports = {
+  modelsDir,
+  backbones,
+  defaultBackbone: defaultBackbone.id,
+  // 特徴抽出時に一度にデコードする画像の枚数 (メモリ使用量の上限を決める)
+  extractBatchSize: 32,
+  // ローカルに無い場合に配布元から読み込むか (FEATURE_MODEL_OFFLINE=1 でオフライン専用)
+  allowRemote: process.env.FEATURE_MODEL_OFFLINE !== '1',
+}
@@ -1,27 +1,536 @@
 const tf = require('@tensorflow/tfjs-node')
 const fs = require('fs')
 const path = require('path')
-const {glob} = require('glob')
+const crypto = require('crypto')
+const featureModelConfig = require('../config/featureModel')
+const {DEFAULT_BACKBONE, getBackbone} = require('./backbones')
+const {DEFAULT_AUGMENTATION, normalizeAugmentation, augmentImage} = require('./augmentation')
+const {MAX_SEED, randomSeed, createRandom, nextSeed, shuffleInPlace} = require('./random')
+const {createVersion, activateVersion, getActiveVersionDir} = require('./modelVersions')
+const {readManifest, labelsOfImage} = require('./manifest')
+const {readLabelRegistry, registerLabels, orderLabels, labelIdsOf, resolveModelLabels} = require('./labels')
+const {readAnnotations} = require('./annotations')
+const {BACKGROUND, DEFAULT_DETECTION, sampleRegions, cropFeatures, detectImage} = require('./detection')
+const {DEFAULT_BACKGROUND, normalizeBackground, findImages, imageFileToTensor} = require('./images')
 
+// Default training hyperparameters (used when the client omits a value)
+const DEFAULT_TRAIN_OPTIONS = {
+  epochs: 100,
+  batchSize: 0, // full batch, as before batch sizes were configurable (the training form starts at 32)
+  learningRate: 0.001,
+  optimizer: 'adam',
+  hiddenUnits: 64,
+  dropout: 0,
+  validationSplit: 0.2,
+  earlyStopping: false,
+  patience: 10,
+  monitor: 'val_loss',
+  augmentation: DEFAULT_AUGMENTATION,
+  classWeighting: 'none',
+  backbone: DEFAULT_BACKBONE,
+  // Optional second stage: unfreeze the last backbone blocks and train them together with the head
+  fineTune: false,
+  fineTuneBlocks: 2,
+  fineTuneEpochs: 10,
+  fineTuneLearningRate: 0.00001,
+  // Seed for shuffling, splits, augmentation, weight initialization and dropout.
+  // null draws a new seed for every run; the seed actually used is saved in training.json so the run can be repeated.
+  seed: null,
+  // Multi-label projects: labels come from manifest.json, the head uses sigmoid outputs with binary cross-entropy
+  // and verification tags an image with every label whose score reaches that label's threshold
+  multiLabel: false,
+  // Object detection projects: boxes come from annotations.json and a classifier and a box head are trained on image crops
+  // (see detection.js). Augmentation and early stopping are not used.
+  detection: false,
+  // Incremental training: start from the active model's head instead of fresh weights and train for warmStartEpochs
+  // (see loadWarmStartHead). Meant for quick turnaround while labeling; a full run from scratch is still the reference.
+  warmStart: false,
+  warmStartEpochs: 10,
+  // Color transparent pixels are flattened onto (a project setting, see images.js)
+  background: DEFAULT_BACKGROUND,
+}
+
+// Threshold for labels that could not be tuned (no validation data, or no positive validation image)
+const DEFAULT_THRESHOLD = 0.5
+
+const MONITORS = ['val_loss', 'val_acc']
+
+// none: plain fit / balanced: loss weighted by inverse label frequency / oversample: repeat minority-label images
+const CLASS_WEIGHTINGS = ['none', 'balanced', 'oversample']
+
+const OPTIMIZERS = ['adam', 'sgd', 'rmsprop', 'adagrad', 'adadelta', 'adamax']
+
+const DEFAULT_FOLDS = 5
+
+// Merge the client's options over the defaults and reject anything unusable
+function normalizeTrainOptions(options = {}) {
+  const merged = {...DEFAULT_TRAIN_OPTIONS}
+  for (const key of Object.keys(DEFAULT_TRAIN_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+      merged[key] = options[key]
+    }
+  }
+  const toNumber = (key) => {
+    const value = Number(merged[key])
+    if (!Number.isFinite(value)) {
+      throw new Error(`${key} must be a number`)
+    }
+    return value
+  }
+  merged.epochs = toNumber('epochs')
+  merged.batchSize = toNumber('batchSize')
+  merged.learningRate = toNumber('learningRate')
+  merged.hiddenUnits = toNumber('hiddenUnits')
+  merged.dropout = toNumber('dropout')
+  merged.validationSplit = toNumber('validationSplit')
+  merged.patience = toNumber('patience')
+  merged.optimizer = String(merged.optimizer).toLowerCase()
+  merged.monitor = String(merged.monitor).toLowerCase()
+  merged.earlyStopping = merged.earlyStopping === true || merged.earlyStopping === 'true'
+  merged.augmentation = normalizeAugmentation(merged.augmentation)
+  merged.classWeighting = String(merged.classWeighting).toLowerCase()
+  merged.backbone = getBackbone(String(merged.backbone)).id
+  merged.fineTune = merged.fineTune === true || merged.fineTune === 'true'
+  merged.fineTuneBlocks = toNumber('fineTuneBlocks')
+  merged.fineTuneEpochs = toNumber('fineTuneEpochs')
+  merged.fineTuneLearningRate = toNumber('fineTuneLearningRate')
+  merged.seed = merged.seed === null ? randomSeed() : toNumber('seed')
+  merged.multiLabel = merged.multiLabel === true || merged.multiLabel === 'true'
+  merged.detection = merged.detection === true || merged.detection === 'true'
+  merged.warmStart = merged.warmStart === true || merged.warmStart === 'true'
+  merged.warmStartEpochs = toNumber('warmStartEpochs')
+  merged.background = normalizeBackground(merged.background)
+
+  if (!Number.isInteger(merged.epochs) || merged.epochs < 1 || merged.epochs > 1000) {
+    throw new Error('epochs must be an integer between 1 and 1000')
+  }
+  // batchSize 0 means full-batch fitting
+  if (!Number.isInteger(merged.batchSize) || merged.batchSize < 0 || merged.batchSize > 4096) {
+    throw new Error('batchSize must be an integer between 0 (full batch) and 4096')
+  }
+  if (merged.learningRate <= 0 || merged.learningRate > 1) {
+    throw new Error('learningRate must be greater than 0 and at most 1')
+  }
+  if (!OPTIMIZERS.includes(merged.optimizer)) {
+    throw new Error(`optimizer must be one of ${OPTIMIZERS.join(', ')}`)
+  }
+  if (!Number.isInteger(merged.hiddenUnits) || merged.hiddenUnits < 1 || merged.hiddenUnits > 4096) {
+    throw new Error('hiddenUnits must be an integer between 1 and 4096')
+  }
+  if (merged.dropout < 0 || merged.dropout >= 1) {
+    throw new Error('dropout must be at least 0 and less than 1')
+  }
+  if (merged.validationSplit < 0 || merged.validationSplit > 0.5) {
+    throw new Error('validationSplit must be between 0 and 0.5')
+  }
+  if (!Number.isInteger(merged.patience) || merged.patience < 1 || merged.patience > 1000) {
+    throw new Error('patience must be an integer between 1 and 1000')
+  }
+  if (!MONITORS.includes(merged.monitor)) {
+    throw new Error(`monitor must be one of ${MONITORS.join(', ')}`)
+  }
+  if (!CLASS_WEIGHTINGS.includes(merged.classWeighting)) {
+    throw new Error(`classWeighting must be one of ${CLASS_WEIGHTINGS.join(', ')}`)
+  }
+  if (!Number.isInteger(merged.fineTuneBlocks) || merged.fineTuneBlocks < 1 || merged.fineTuneBlocks > 50) {
+    throw new Error('fineTuneBlocks must be an integer between 1 and 50')
+  }
+  if (!Number.isInteger(merged.fineTuneEpochs) || merged.fineTuneEpochs < 1 || merged.fineTuneEpochs > 1000) {
+    throw new Error('fineTuneEpochs must be an integer between 1 and 1000')
+  }
+  if (merged.fineTuneLearningRate <= 0 || merged.fineTuneLearningRate > 1) {
+    throw new Error('fineTuneLearningRate must be greater than 0 and at most 1')
+  }
+  if (!Number.isInteger(merged.warmStartEpochs) || merged.warmStartEpochs < 1 || merged.warmStartEpochs > 1000) {
+    throw new Error('warmStartEpochs must be an integer between 1 and 1000')
+  }
+  if (!Number.isInteger(merged.seed) || merged.seed < 0 || merged.seed > MAX_SEED) {
+    throw new Error(`seed must be an integer between 0 and ${MAX_SEED}`)
+  }
+  // Label weights and oversampling assume one label per image
+  if (merged.multiLabel && merged.classWeighting !== 'none') {
+    throw new Error('classWeighting must be none for multi-label projects')
+  }
+  if (merged.detection) {
+    if (merged.multiLabel) {
+      throw new Error('A project cannot be both multi-label and detection')
+    }
+    // Background windows are sampled per image instead, and the backbone is only used as a frozen feature extractor
+    if (merged.classWeighting !== 'none') {
+      throw new Error('classWeighting must be none for detection projects')
+    }
+    if (merged.fineTune) {
+      throw new Error('Fine-tuning is not available for detection projects')
+    }
+    if (merged.warmStart) {
+      throw new Error('Warm start is not available for detection projects')
+    }
+  }
+  return merged
+}
+
+// Split sample indices per label so every label keeps the same train/validation ratio.
+// Each label keeps at least one training sample; labels with a single image go to training only.
+function stratifiedSplit(labels, ratio) {
+  const byLabel = new Map()
+  labels.forEach((label, index) => {
+    if (!byLabel.has(label)) {
+      byLabel.set(label, [])
+    }
+    byLabel.get(label).push(index)
+  })
+  const trainIndices = []
+  const valIndices = []
+  for (const indices of byLabel.values()) {
+    const valCount = Math.min(Math.round(indices.length * ratio), indices.length - 1)
+    valIndices.push(...indices.slice(0, valCount))
+    trainIndices.push(...indices.slice(valCount))
+  }
+  return [trainIndices, valIndices]
+}
+
+// Deal sample indices into k folds label by label, so every fold gets about the same share of each label.
+// The deal continues across labels, which keeps the fold sizes within one sample of each other.
+function stratifiedFolds(labels, k) {
+  const byLabel = new Map()
+  labels.forEach((label, index) => {
+    if (!byLabel.has(label)) {
+      byLabel.set(label, [])
+    }
+    byLabel.get(label).push(index)
+  })
+  const folds = Array.from({length: k}, () => [])
+  let next = 0
+  for (const indices of byLabel.values()) {
+    for (const index of indices) {
+      folds[next % k].push(index)
+      next++
+    }
+  }
+  return folds
+}
+
+// Number of samples per label index
+function countLabels(labels, indices, numClasses) {
+  const counts = new Array(numClasses).fill(0)
+  indices.forEach(index => counts[labels[index]]++)
+  return counts
+}
+
+// Number of images tagged with each label (multi-label targets)
+function countPositives(targets, indices, numClasses) {
+  const counts = new Array(numClasses).fill(0)
+  indices.forEach(index => targets[index].forEach((value, label) => {
+    counts[label] += value
+  }))
+  return counts
+}
+
+// Per-label threshold with the best F1 score on the validation images.
+// Ties go to the threshold closest to DEFAULT_THRESHOLD; labels without a positive validation image keep the default.
+function tuneThresholds(probabilities, targets, classes) {
+  const candidates = Array.from({length: 19}, (_, i) => Math.round((i + 1) * 5) / 100)
+  const thresholds = {}
+  classes.forEach((label, index) => {
+    const positives = targets.filter(row => row[index] === 1).length
+    if (positives === 0) {
+      thresholds[label] = DEFAULT_THRESHOLD
+      return
+    }
+    let best = {threshold: DEFAULT_THRESHOLD, f1: -1}
+    for (const threshold of candidates) {
+      let truePositives = 0
+      let predicted = 0
+      probabilities.forEach((row, i) => {
+        if (row[index] >= threshold) {
+          predicted++
+          truePositives += targets[i][index]
+        }
+      })
+      const f1 = 2 * truePositives / (predicted + positives)
+      const closer = Math.abs(threshold - DEFAULT_THRESHOLD) < Math.abs(best.threshold - DEFAULT_THRESHOLD)
+      if (f1 > best.f1 || (f1 === best.f1 && closer)) {
+        best = {threshold, f1}
+      }
+    }
+    thresholds[label] = best.threshold
+  })
+  return thresholds
+}
+
+// Inverse-frequency weights (total / (classes * count)) in the { labelIndex: weight } form fit expects
+function balancedClassWeights(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0)
+  const present = counts.filter(count => count > 0).length
+  const weights = {}
+  counts.forEach((count, label) => {
+    weights[label] = count > 0 ? total / (present * count) : 0
+  })
+  return weights
+}
+
+// Repeat randomly drawn images of every label until each label has as many as the largest one
+function oversampleIndices(labels, indices, random=Math.random) {
+  const byLabel = new Map()
+  indices.forEach(index => {
+    if (!byLabel.has(labels[index])) {
+      byLabel.set(labels[index], [])
+    }
+    byLabel.get(labels[index]).push(index)
+  })
+  const largest = Math.max(...[...byLabel.values()].map(group => group.length))
+  const result = [...indices]
+  for (const group of byLabel.values()) {
+    for (let i = group.length; i < largest; i++) {
+      result.push(group[(random() * group.length) | 0])
+    }
+  }
+  return result
+}
+
+// Append one fit history to another, metric by metric
+function mergeHistories(first, second) {
+  const merged = {}
+  for (const key of new Set([...Object.keys(first), ...Object.keys(second)])) {
+    merged[key] = [...(first[key] || []), ...(second[key] || [])]
+  }
+  return merged
+}
+
+function createOptimizer(name, learningRate) {
+  return tf.train[name](learningRate)
+}
+
+
+// Load a saved tfjs model from a local directory, whichever format it was saved in
+async function loadLocalModel(modelDir) {
+  const modelJsonPath = path.join(modelDir, 'model.json')
+  const modelJson = JSON.parse(fs.readFileSync(modelJsonPath).toString())
+  if (modelJson.format === 'layers-model' || (modelJson.modelTopology && modelJson.modelTopology.class_name)) {
+    return tf.loadLayersModel('file://'+modelJsonPath)
+  }
+  return tf.loadGraphModel('file://'+modelJsonPath)
+}
+
+// Each backbone's feature model is loaded once per process and reused by every training and verification run
+const featureModelPromises = new Map()
+
+function loadFeatureModel(backboneId=DEFAULT_BACKBONE) {
+  const backbone = getBackbone(backboneId)
+  if (!featureModelPromises.has(backbone.id)) {
+    const featureModelPromise = (async () => {
+      const {localDir, remoteUrl} = backbone
+      if (fs.existsSync(path.join(localDir, 'model.json'))) {
+        console.log('Loading feature model from', localDir)
+        return loadLocalModel(localDir)
+      }
+      if (!featureModelConfig.allowRemote) {
+        throw new Error(`Feature model not found in ${localDir}. Run "npm run import-feature-model -- --backbone ${backbone.id}" first.`)
+      }
+      console.log('Loading feature model from', remoteUrl)
+      return tf.loadGraphModel(remoteUrl, {fromTFHub: true})
+    })()
+    featureModelPromises.set(backbone.id, featureModelPromise)
+    // Let the next request retry after a failed load
+    featureModelPromise.catch(() => {
+      featureModelPromises.delete(backbone.id)
+    })
+  }
+  return featureModelPromises.get(backbone.id)
+}
 
-function fileToTensor(filePath,size){
-  const rawimage = fs.readFileSync(filePath)
-  const imageTensor = tf.node.decodeImage(rawimage,3)
-  const resizedTensor = tf.image.resizeBilinear(imageTensor,size)
-  const normalizedTensor = tf.cast(resizedTensor.div(tf.scalar(255)), dtype = 'float32');
+async function fileToTensor(filePath,size,background=DEFAULT_BACKGROUND){
+  const imageTensor = await imageFileToTensor(filePath,background)
+  const normalizedTensor = tf.tidy(() => {
+    const resizedTensor = tf.image.resizeBilinear(imageTensor,size)
+    return tf.cast(resizedTensor.div(tf.scalar(255)), 'float32');
+  })
+  imageTensor.dispose()
   return normalizedTensor
 }
 
-function trainFolderToTensors(dirPath,size) {
+// Decode a batch of files and stack the readable ones into one tensor [batch, size, size, 3] (null if none is readable).
+// Files that cannot be read as images come back in skipped as {file, reason}; any other error is thrown.
+async function filesToBatch(files,size,background=DEFAULT_BACKGROUND){
+  const results = await Promise.allSettled(files.map(file => fileToTensor(file,size,background)))
+  const images = results.filter(result => result.status === 'fulfilled').map(result => result.value)
+  const failed = results.find(result => result.status === 'rejected' && result.reason.name !== 'UnreadableImage')
+  if (failed) {
+    tf.dispose(images)
+    throw failed.reason
+  }
+  const batch = images.length > 0 ? tf.stack(images) : null
+  tf.dispose(images)
+  return {
+    batch: batch,
+    files: files.filter((file, index) => results[index].status === 'fulfilled'),
+    skipped: files
+      .map((file, index) => ({file: file, reason: results[index].status === 'rejected' ? results[index].reason.message : null}))
+      .filter(entry => entry.reason !== null),
+  }
+}
+
+// Files used again later in a run were readable when their features were extracted; if one no longer is
+// (replaced or deleted meanwhile), the rows would stop matching the labels, so the run fails instead
+function throwIfUnreadable(skipped) {
+  if (skipped.length > 0) {
+    throw new Error(`${skipped[0].file} can no longer be read: ${skipped[0].reason}`)
+  }
+}
+
+async function readableFilesToBatch(files,size,background=DEFAULT_BACKGROUND){
+  const {batch, skipped} = await filesToBatch(files,size,background)
+  if (skipped.length > 0) {
+    tf.dispose(batch)
+    throwIfUnreadable(skipped)
+  }
+  return batch
+}
+
+// Unreadable files as reported to the client: {path (relative to the folder that was read, with /), reason}, sorted by path
+function skippedReport(skipped, baseDir) {
+  return skipped
+    .map(entry => ({path: path.relative(baseDir, entry.file).split(path.sep).join('/'), reason: entry.reason}))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+}
+
+// Feature vectors are cached per project, keyed by backbone ID, image content hash and background color
+// (the background changes the pixels of transparent images)
+function featureCacheDir(projectDir, backbone) {
+  return path.join(projectDir, 'cache', 'features', backbone.id)
+}
+
+function hashFile(filePath, background=DEFAULT_BACKGROUND) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).update(background).digest('hex')
+}
+
+function readCachedFeature(cachePath, featureDim) {
+  if (!fs.existsSync(cachePath)) {
+    return null
+  }
+  const buffer = fs.readFileSync(cachePath)
+  const feature = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4)
+  // A cache file of the wrong size (e.g. an interrupted write) is treated as missing
+  return feature.length === featureDim ? feature : null
+}
+
+// Run the feature model only on images whose features are not cached yet.
+// Images are decoded one batch at a time so peak memory depends on the batch size, not the dataset size.
+// onBatch(processed, total) is called after every batch and may throw to abort the extraction.
+// Returns {features, files, skipped}: features holds one row per readable file, in the order of files;
+// unreadable files are left out and listed in skipped as {file, reason}.
+async function extractFeatures(files, backbone, featureModel, cacheDir, onBatch=null, background=DEFAULT_BACKGROUND) {
+  fs.mkdirSync(cacheDir, {recursive: true})
+  const size = [backbone.inputSize, backbone.inputSize]
+  const dim = backbone.featureDim
+  const batchSize = featureModelConfig.extractBatchSize
+  const features = new Float32Array(files.length * dim)
+  const skipped = []
+  let hits = 0
+  for (let start = 0; start < files.length; start += batchSize) {
+    const misses = []
+    files.slice(start, start + batchSize).forEach((file, offset) => {
+      const index = start + offset
+      let cachePath
+      try {
+        cachePath = path.join(cacheDir, `${hashFile(file, background)}.bin`)
+      } catch (error) {
+        // Hashing reads the file, so a file that cannot be read (no permission, deleted after it was listed) is skipped here
+        skipped.push({file: file, reason: error.message})
+        return
+      }
+      const cached = readCachedFeature(cachePath, dim)
+      if (cached) {
+        features.set(cached, index * dim)
+        hits++
+      } else {
+        misses.push({index, file, cachePath})
+      }
+    })
+
+    if (misses.length > 0) {
+      const decoded = await filesToBatch(misses.map(miss => miss.file), size, background)
+      skipped.push(...decoded.skipped)
+      if (decoded.batch) {
+        const computed = tf.tidy(() => featureModel.predict(decoded.batch).dataSync())
+        decoded.batch.dispose()
+        misses.filter(miss => decoded.files.includes(miss.file)).forEach((miss, i) => {
+          const feature = computed.slice(i * dim, (i + 1) * dim)
+          fs.writeFileSync(miss.cachePath, Buffer.from(feature.buffer))
+          features.set(feature, miss.index * dim)
+        })
+      }
+    }
+
+    const processed = Math.min(start + batchSize, files.length)
+    if (onBatch) {
+      onBatch(processed, files.length)
+    }
+    // Give socket events (progress, cancel) a chance to run between batches
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  console.log(`Feature cache: ${hits} hit, ${files.length - hits} miss`)
+  if (skipped.length > 0) {
+    console.log(`Skipped ${skipped.length} unreadable images`, skipped)
+  }
+  const unreadable = new Set(skipped.map(entry => entry.file))
+  const readable = []
+  const kept = new Float32Array((files.length - unreadable.size) * dim)
+  files.forEach((file, index) => {
+    if (!unreadable.has(file)) {
+      kept.set(features.subarray(index * dim, (index + 1) * dim), readable.length * dim)
+      readable.push(file)
+    }
+  })
+  return {features: tf.tensor2d(kept, [readable.length, dim]), files: readable, skipped: skipped}
+}
+
+// Features of randomly augmented copies of the given images, laid out copy by copy.
+// They are never cached because every run draws new augmentations.
+async function extractAugmentedFeatures(files, backbone, featureModel, augmentation, onBatch=null, random=Math.random, background=DEFAULT_BACKGROUND) {
+  const size = [backbone.inputSize, backbone.inputSize]
+  const dim = backbone.featureDim
+  const batchSize = featureModelConfig.extractBatchSize
+  const total = files.length * augmentation.copies
+  const features = new Float32Array(total * dim)
+  let processed = 0
+  for (let copy = 0; copy < augmentation.copies; copy++) {
+    for (let start = 0; start < files.length; start += batchSize) {
+      const batch = files.slice(start, start + batchSize)
+      const images = await readableFilesToBatch(batch, size, background)
+      const computed = tf.tidy(() => {
+        const X = tf.stack(tf.unstack(images).map(image => augmentImage(image, augmentation, random)))
+        return featureModel.predict(X).dataSync()
+      })
+      images.dispose()
+      features.set(computed, (copy * files.length + start) * dim)
+      processed += batch.length
+      if (onBatch) {
+        onBatch(processed, total)
+      }
+      await new Promise(resolve => setImmediate(resolve))
+    }
+  }
+  return tf.tensor2d(features, [total, dim])
+}
+
+// With a manifest (multi-label projects) Y holds multi-hot rows and the labels are the folders plus every label the manifest uses.
+// Unreadable images are left out and returned as skipped ({file, reason}); a label whose images are all unreadable is left out too.
+// The labels (the columns of Y) follow the order of the project's label registry, with labels it does not know yet sorted at the end.
+// Nothing is registered here; a run registers its labels only once its model is saved.
+function trainFolderToTensors(dirPath,backbone,featureModel,cacheDir,onBatch=null,random=Math.random,manifest=null,background=DEFAULT_BACKGROUND) {
   return new Promise((resolve, reject) => {
-    const XS = []
-    const YS = []
-    const dirs = []
+    let YS = []
+    let dirs = []
+    let files = []
+    let skipped = []
+    let registry
     console.log('Identifying Image List')
-    glob(`${dirPath}/*/*.@(png|jpeg|jpg|bmp)`)
-    .then(files => {
+    // findImages sorts the files (glob returns them in directory order, which differs between machines) so a seed reproduces the shuffle
+    findImages(dirPath, true)
+    .then(async found => {
+      files = found
       console.log(`${files.length} Files Found`)
-      console.log('Now converting to tensors')
       files.forEach((file) => {
         // console.log(file)
         const dir = path.basename(path.dirname(file))
@@ -29,19 +538,16 @@ function trainFolderToTensors(dirPath,size) {
           dirs.push(dir)
         }
         const answer = dirs.indexOf(dir)
-        const imageTensor = fileToTensor(file,size)
-        // console.log(imageTensor.shape)
         YS.push(answer)
-        XS.push(imageTensor)
       })
-      // Shuffle the data (keep XS[n] === YS[n])
+      // Shuffle the data (keep files[n] === YS[n])
       function shuffleCombo(array, array2) {
         let counter = array.length
         console.assert(array.length === array2.length)
         let temp, temp2
         let index = 0
         while (counter > 0) {
-          index = (Math.random() * counter) | 0
+          index = (random() * counter) | 0
           counter--
           temp = array[counter]
           temp2 = array2[counter]
@@ -51,186 +557,1227 @@ function trainFolderToTensors(dirPath,size) {
           array2[index] = temp2
         }
       }
-      shuffleCombo(XS, YS)
-      
-      console.log('Stacking')
-      const X = tf.stack(XS)
-      const Y = tf.oneHot(YS, dirs.length)
+      shuffleCombo(files, YS)
 
-      console.log('Images all converted to tensors:')
-      console.log('X', X.shape)
-      console.log('Y', Y.shape)
+      registry = await readLabelRegistry(path.dirname(dirPath))
+
+      console.log('Now converting to features')
+      return extractFeatures(files, backbone, featureModel, cacheDir, onBatch, background)
+    })
+    .then(extracted => {
+      const featureX = extracted.features
+      skipped = extracted.skipped
+      if (skipped.length > 0) {
+        const readable = files.map(file => extracted.files.includes(file))
+        const labels = YS.map(answer => dirs[answer]).filter((label, index) => readable[index])
+        files = extracted.files
+        dirs = dirs.filter(dir => labels.includes(dir))
+        YS = labels.map(label => dirs.indexOf(label))
+      }
+      if (files.length === 0) {
+        featureX.dispose()
+        throw new Error(`No readable images found in ${dirPath} (${skipped.length} unreadable)`)
+      }
+      const imageLabels = manifest ? files.map(file => labelsOfImage(manifest, path.relative(dirPath, file))) : null
+      if (manifest) {
+        const extraLabels = [...new Set(imageLabels.flat())].filter(label => !dirs.includes(label))
+        dirs.push(...extraLabels)
+      }
+      const ordered = orderLabels(registry, dirs)
+      YS = YS.map(answer => ordered.indexOf(dirs[answer]))
+      dirs = ordered
+      let Y
+      if (manifest) {
+        Y = tf.tensor2d(imageLabels.map(labels => dirs.map(label => labels.includes(label) ? 1 : 0)), [files.length, dirs.length])
+      } else {
+        Y = tf.oneHot(YS, dirs.length)
+      }
 
-      // cleanup
-      tf.dispose(XS)
+      console.log('Images all converted to features:')
+      console.log('X', featureX.shape)
+      console.log('Y', Y.shape)
 
-      resolve([X, Y, dirs])
+      resolve([featureX, Y, dirs, files, skipped])
     })
     .catch(error => {
-      console.error('Failed to access files', error)
-      reject()
-      process.exit(1)
+      if (error.name !== 'TrainingCancelled') {
+        console.error('Failed to access files', error)
+      }
+      reject(error)
     })
   })
 }
 
-function verifyFolderToTensors(dirPath,size) {
+// Resolves [features, names, skipped]; unreadable images are left out of the first two
+function verifyFolderToTensors(dirPath,backbone,featureModel,cacheDir,onBatch=null,background=DEFAULT_BACKGROUND) {
   return new Promise((resolve, reject) => {
-    const XS = []
-    const YS = []
+    let YS = []
     console.log('Identifying Image List')
-    glob(`${dirPath}/*.@(png|jpeg|jpg|bmp)`)
+    findImages(dirPath)
     .then(files => {
       console.log(`${files.length} Files Found`)
-      console.log('Now converting to tensors')
       files.forEach((file) => {
-        // console.log(file)
-        const name = path.basename(file)
-        const imageTensor = fileToTensor(file,size)
-        console.log(name,imageTensor.shape)
-        YS.push(name)
-        XS.push(imageTensor)
+        YS.push(path.basename(file))
       })
-      
-      console.log('Stacking')
-      const X = tf.stack(XS)
 
-      console.log('Images all converted to tensors:')
-      console.log('X', X.shape)
+      console.log('Now converting to features')
+      return extractFeatures(files, backbone, featureModel, cacheDir, onBatch, background)
+    })
+    .then(extracted => {
+      const featureX = extracted.features
+      YS = extracted.files.map(file => path.basename(file))
+      console.log('Images all converted to features:')
+      console.log('X', featureX.shape)
       console.log('Y', YS)
 
-      // cleanup
-      tf.dispose(XS)
-
-      resolve([X, YS])
+      resolve([featureX, YS, extracted.skipped])
     })
     .catch(error => {
       console.error('Failed to access files', error)
-      reject()
-      process.exit(1)
+      reject(error)
     })
   })
 }
 
-async function learnTransferModel(folderPath,socket=null) {
-  console.log('Loading images - this may take a while...')
-  if(socket){socket.emit('log','loading images')}
-  const [X,Y,dirs] = await trainFolderToTensors(folderPath,[224,224])
-  console.log(dirs)
+// Fine-tuning needs the backbone as a trainable layers model (a Keras MobileNet converted to tfjs,
+// include_top=False with average pooling). A fresh copy is loaded for every run because its weights change.
+function assertBackboneLayersModel(backbone) {
+  if (!fs.existsSync(path.join(backbone.layersDir, 'model.json'))) {
+    throw new Error(`Fine-tuning needs a layers model of ${backbone.id} in ${backbone.layersDir}. Run "npm run import-feature-model -- --backbone ${backbone.id} --layers <dir|url>" first.`)
+  }
+}
+
+async function loadBackboneLayersModel(backbone) {
+  assertBackboneLayersModel(backbone)
+  const modelJsonPath = path.join(backbone.layersDir, 'model.json')
+  const model = await tf.loadLayersModel('file://'+modelJsonPath)
+  const outputShape = model.outputs[0].shape
+  if (outputShape.length !== 2 || outputShape[1] !== backbone.featureDim) {
+    model.dispose()
+    throw new Error(`The layers model of ${backbone.id} must output ${backbone.featureDim} features, got [${outputShape}]`)
+  }
+  return model
+}
+
+// Group backbone layers into blocks by their Keras name prefix (block_3_expand, expanded_conv_5/squeeze, ...).
+// Layers before the first block form the stem; other unprefixed layers belong to the block before them.
+function backboneBlocks(model) {
+  const blocks = []
+  model.layers.forEach(layer => {
+    const match = layer.name.match(/^(block_\d+|expanded_conv(?:_\d+)?)(?:[_/]|$)/)
+    const name = match ? match[1] : null
+    if (blocks.length === 0 || (name && name !== blocks[blocks.length - 1].name)) {
+      blocks.push({name: name || 'stem', layers: []})
+    }
+    blocks[blocks.length - 1].layers.push(layer)
+  })
+  return blocks
+}
+
+// Freeze the whole backbone except its last `count` blocks; returns the names of the unfrozen blocks
+function unfreezeTopBlocks(model, count) {
+  const unfrozen = backboneBlocks(model).slice(-count)
+  model.trainable = true
+  model.layers.forEach(layer => {
+    layer.trainable = false
+  })
+  unfrozen.forEach(block => block.layers.forEach(layer => {
+    layer.trainable = layer.getClassName() !== 'BatchNormalization'
+  }))
+  // Batch normalization keeps its ImageNet statistics, as is usual when fine-tuning on small datasets.
+  // In tfjs trainable = false only freezes gamma and beta: the moving mean and variance are still updated
+  // whenever the layer runs in training mode, so every batch normalization layer always runs in inference mode
+  model.layers.filter(layer => layer.getClassName() === 'BatchNormalization').forEach(layer => {
+    const call = layer.call.bind(layer)
+    layer.call = (inputs, kwargs) => call(inputs, {...kwargs, training: false})
+  })
+  return unfrozen.map(block => block.name)
+}
+
+// Images (0-1) -> backbone -> trained head, saved as one model that verification feeds images directly
+function buildCombinedModel(backboneModel, headModel, backbone) {
+  const [low, high] = backbone.layersInputRange
+  const input = tf.input({shape: [backbone.inputSize, backbone.inputSize, 3]})
+  const scaled = tf.layers.rescaling({scale: high - low, offset: low}).apply(input)
+  const output = headModel.apply(backboneModel.apply(scaled))
+  return tf.model({inputs: input, outputs: output})
+}
+
+// Decoded image batches for fitDataset, reshuffled every epoch. Images are decoded one batch at a time
+// (and augmented on the fly when enabled) so the dataset never has to fit in memory.
+// targets holds one target row (one-hot or multi-hot) per file
+function imageDataset(files, targets, backbone, batchSize, augmentation=null, random=Math.random, background=DEFAULT_BACKGROUND) {
+  const size = [backbone.inputSize, backbone.inputSize]
+  return tf.data.generator(async function* () {
+    const order = shuffleInPlace(files.map((file, index) => index), random)
+    for (let start = 0; start < order.length; start += batchSize) {
+      const batch = order.slice(start, start + batchSize)
+      const images = await readableFilesToBatch(batch.map(index => files[index]), size, background)
+      let xs = images
+      if (augmentation) {
+        xs = tf.tidy(() => tf.stack(tf.unstack(images).map(image => augmentImage(image, augmentation, random))))
+        images.dispose()
+      }
+      yield {xs: xs, ys: tf.tensor2d(batch.map(index => targets[index]))}
+    }
+  })
+}
+
+// Feature batches for fitDataset, reshuffled every epoch with the run's generator
+// (fit() shuffles with Math.random, which cannot be seeded)
+function featureDataset(x, y, batchSize, random) {
+  return tf.data.generator(function* () {
+    const order = shuffleInPlace(Array.from({length: x.shape[0]}, (_, index) => index), random)
+    for (let start = 0; start < order.length; start += batchSize) {
+      const batch = order.slice(start, start + batchSize)
+      yield tf.tidy(() => ({xs: tf.gather(x, batch), ys: tf.gather(y, batch)}))
+    }
+  })
+}
+
+// A dropout layer with a fixed seed drops the same units on every step, so each batch gets a new seed from the run's generator
+function reseedDropout(model, random) {
+  for (const layer of model.layers) {
+    if (layer.layers) {
+      reseedDropout(layer, random)
+    } else if (layer.getClassName() === 'Dropout') {
+      layer.seed = nextSeed(random)
+    }
+  }
+}
+
+// Predict straight from image files with a combined (fine-tuned) model, one batch at a time.
+// Returns {confidences, files, skipped}: one row of confidences per readable file; unreadable files are listed in skipped.
+async function predictImages(model, files, backbone, background=DEFAULT_BACKGROUND) {
+  const size = [backbone.inputSize, backbone.inputSize]
+  const batchSize = featureModelConfig.extractBatchSize
+  const confidences = []
+  const readable = []
+  const skipped = []
+  for (let start = 0; start < files.length; start += batchSize) {
+    const decoded = await filesToBatch(files.slice(start, start + batchSize), size, background)
+    if (decoded.batch) {
+      confidences.push(...tf.tidy(() => model.predict(decoded.batch).arraySync()))
+      decoded.batch.dispose()
+    }
+    readable.push(...decoded.files)
+    skipped.push(...decoded.skipped)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  return {confidences: confidences, files: readable, skipped: skipped}
+}
+
+// Classification head trained on top of the backbone's feature vectors; the initial weights come from the run's generator.
+// Multi-label heads score every label independently (sigmoid) instead of sharing one distribution (softmax).
+function createHeadModel(featureDim, numClasses, trainOptions, random) {
+  const layers = [
+    tf.layers.dense({
+      inputShape: [featureDim],
+      units: trainOptions.hiddenUnits,
+      activation: 'relu',
+      kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) }),
+    }),
+  ]
+  if (trainOptions.dropout > 0) {
+    layers.push(tf.layers.dropout({ rate: trainOptions.dropout }))
+  }
+  layers.push(tf.layers.dense({
+    units: numClasses,
+    activation: trainOptions.multiLabel ? 'sigmoid' : 'softmax',
+    kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) }),
+  }))
+  return tf.sequential({ layers })
+}
+
+// With binary cross-entropy, tfjs reports per-label binary accuracy under the same acc / val_acc names
+function lossOf(trainOptions) {
+  return trainOptions.multiLabel ? 'binaryCrossentropy' : 'categoricalCrossentropy'
+}
+
+// Compile a head with the configured optimizer; returns the optimizer so the caller can dispose it
+function compileHeadModel(model, trainOptions) {
+  const optimizer = createOptimizer(trainOptions.optimizer, trainOptions.learningRate)
+  model.compile({
+    optimizer: optimizer,
+    loss: lossOf(trainOptions),
+    metrics: ['accuracy'],
+  })
+  return optimizer
+}
+
+// Warm start: the active version's head weights, for a run that continues from them instead of starting from scratch.
+// Only a head-only model trained on the same backbone and with the same kind of output (softmax / sigmoid) can be continued.
+// Returns {version, classes, hiddenUnits, hidden: [kernel, bias], output: [kernel, bias]}; the caller disposes the tensors.
+async function loadWarmStartHead(projectDir, backbone, trainOptions) {
+  const versionDir = await getActiveVersionDir(projectDir)
+  if (!versionDir) {
+    throw new Error('Warm start needs an active model. Train the project once without warm start first.')
+  }
+  const trainingPath = path.join(versionDir,'training.json')
+  const training = fs.existsSync(trainingPath) ? JSON.parse(fs.readFileSync(trainingPath).toString()) : {}
+  if (training.modelType && training.modelType !== 'head') {
+    throw new Error(`Warm start needs a model without fine-tuning or detection, but the active model is ${training.modelType}`)
+  }
+  const trainedBackbone = training.backbone ? training.backbone.id : DEFAULT_BACKBONE
+  if (trainedBackbone !== backbone.id) {
+    throw new Error(`Warm start needs the same backbone, but the active model was trained with ${trainedBackbone}`)
+  }
+  if (Boolean(training.options && training.options.multiLabel) !== trainOptions.multiLabel) {
+    throw new Error('Warm start needs a model of the same kind (single-label or multi-label) as the project')
+  }
+  const model = await tf.loadLayersModel('file://'+path.join(versionDir,'model.json'))
+  try {
+    const dense = model.layers.filter(layer => layer.getClassName() === 'Dense')
+    if (dense.length !== 2) {
+      throw new Error('Warm start needs a model with one hidden layer')
+    }
+    return {
+      version: path.basename(versionDir),
+      classes: JSON.parse(fs.readFileSync(path.join(versionDir,'classes.json')).toString()),
+      hiddenUnits: dense[0].units,
+      hidden: dense[0].getWeights().map(weight => weight.clone()),
+      output: dense[1].getWeights().map(weight => weight.clone()),
+    }
+  } finally {
+    model.dispose()
+  }
+}
+
+// Copy warm-start weights into a freshly created head: the hidden layer as it is, and the output unit of every label
+// the active model already knew (matched by name through classes.json). New labels keep their fresh initialization
+// and labels that are no longer in the data are dropped.
+function applyWarmStart(model, warm, classes) {
+  const [hidden, output] = model.layers.filter(layer => layer.getClassName() === 'Dense')
+  hidden.setWeights(warm.hidden)
+  const [kernel, bias] = output.getWeights()
+  const [warmKernel, warmBias] = warm.output
+  const weights = tf.tidy(() => {
+    const sources = classes.map((label, index) => {
+      const warmIndex = warm.classes.indexOf(label)
+      return warmIndex >= 0
+        ? [warmKernel.slice([0, warmIndex], [-1, 1]), warmBias.slice([warmIndex], [1])]
+        : [kernel.slice([0, index], [-1, 1]), bias.slice([index], [1])]
+    })
+    return [tf.concat(sources.map(source => source[0]), 1), tf.concat(sources.map(source => source[1]))]
+  })
+  output.setWeights(weights)
+  tf.dispose(weights)
+}
+
+// Thrown when a training run is cancelled through its AbortSignal
+function cancelledError() {
+  const error = new Error('Training cancelled')
+  error.name = 'TrainingCancelled'
+  return error
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError()
+  }
+}
+
+// Structured progress sent to the client as 'updateProgress':
+//   {phase, current, total, percent, loss, acc, valLoss, valAcc, eta}
+// phase is one of loading / extracting / augmenting / fitting / finetuning / crossValidating / saving / done.
+// eta is the estimated seconds left in the current phase, null until two steps have been timed.
+function createProgressReporter(socket) {
+  let phase = null
+  let phaseStart = 0
+  let phaseStartStep = 0
+  return (nextPhase, current, total, metrics = {}) => {
+    if (nextPhase !== phase) {
+      phase = nextPhase
+      phaseStart = Date.now()
+      phaseStartStep = current
+    }
+    const stepsTimed = current - phaseStartStep
+    const eta = current >= total ? 0
+      : stepsTimed > 0 ? (Date.now() - phaseStart) / 1000 / stepsTimed * (total - current)
+      : null
+    if(socket){
+      socket.emit('updateProgress',{
+        phase: phase,
+        current: current,
+        total: total,
+        percent: total > 0 ? Math.floor(current / total * 100) : 0,
+        loss: metrics.loss,
+        acc: metrics.acc,
+        valLoss: metrics.valLoss,
+        valAcc: metrics.valAcc,
+        eta: eta,
+      })
+    }
+  }
+}
+
+// saveOptions.activate: make the saved version the active model (false for hyperparameter search trials)
+// saveOptions.search: {id, trial} recorded in training.json when the run is a search trial
+async function learnTransferModel(folderPath,socket=null,options={},signal=null,saveOptions={}) {
+  const trainOptions = normalizeTrainOptions(options)
+  if (trainOptions.detection) {
+    return learnDetectionModel(folderPath, socket, trainOptions, signal, saveOptions)
+  }
+  console.log('Train options', trainOptions)
+  const reportProgress = createProgressReporter(socket)
+  // Every random choice of the run is drawn from this generator, in the same order each time
+  const random = createRandom(trainOptions.seed)
 
   console.log('Loading model')
   if(socket){socket.emit('log','loading model')}
-  // Load feature model
-  const featureModel = await tf.loadGraphModel('https://www.kaggle.com/models/google/mobilenet-v2/TfJs/140-224-feature-vector/3', {fromTFHub: true});
-  // featureModel:tf.Model
+  reportProgress('loading', 0, 1)
+  // Load feature model (the project's backbone)
+  const backbone = getBackbone(trainOptions.backbone)
+  // Fail before the head stage rather than after it
+  if (trainOptions.fineTune) {
+    assertBackboneLayersModel(backbone)
+  }
+  const featureModel = await loadFeatureModel(backbone.id)
+
+  console.log('Loading images and creating features - this may take a while...')
+  if(socket){socket.emit('log','creating features')}
+  const cacheDir = featureCacheDir(path.dirname(folderPath), backbone)
+  const onBatch = (processed, total) => {
+    throwIfCancelled(signal)
+    reportProgress('extracting', processed, total)
+  }
+  const manifest = trainOptions.multiLabel ? await readManifest(path.dirname(folderPath)) : null
+  const [featureX,Y,dirs,files,skipped] = await trainFolderToTensors(folderPath,backbone,featureModel,cacheDir,onBatch,random,manifest,trainOptions.background)
+  console.log(dirs)
+  if(socket && skipped.length > 0){socket.emit('log',`skipped ${skipped.length} unreadable images`)}
+
+  // Every tensor created below is released here, whether training finishes, fails or is cancelled
+  const tensors = [featureX, Y]
+  let warm = null
+  if (trainOptions.warmStart) {
+    try {
+      warm = await loadWarmStartHead(path.dirname(folderPath), backbone, trainOptions)
+    } catch (error) {
+      tf.dispose(tensors)
+      throw error
+    }
+    tensors.push(...warm.hidden, ...warm.output)
+    // The hidden layer is reused as it is, so its size comes from the active model
+    if (warm.hiddenUnits !== trainOptions.hiddenUnits) {
+      console.log(`warm start: hiddenUnits ${trainOptions.hiddenUnits} -> ${warm.hiddenUnits} (from version ${warm.version})`)
+      trainOptions.hiddenUnits = warm.hiddenUnits
+    }
+  }
+  // Warm-started runs only need a few epochs
+  const epochs = warm ? trainOptions.warmStartEpochs : trainOptions.epochs
+  let transferModel = null
+  let optimizer = null
+  // Fine-tuning only: the model that is saved and returned instead of transferModel
+  let combinedModel = null
+  let fineTuneOptimizer = null
+  try {
+    throwIfCancelled(signal)
 
-  const transferModel = tf.sequential({
     // Create NN
-    layers: [
+    transferModel = createHeadModel(backbone.featureDim, dirs.length, trainOptions, random)
+    if (warm) {
+      applyWarmStart(transferModel, warm, dirs)
+    }
+
+    console.log(`Features stack ${featureX.shape}`)
+    if(socket){socket.emit('log',`Features stack ${featureX.shape}`)}
+    throwIfCancelled(signal)
+
+    optimizer = compileHeadModel(transferModel, trainOptions)
+
+    // Stratified train/validation split (samples are already shuffled).
+    // Multi-label images are stratified by their first label (images without a label count as the first class).
+    const targets = Y.arraySync()
+    const labels = tf.tidy(() => Y.argMax(-1).arraySync())
+    const [splitTrainIndices, valIndices] = stratifiedSplit(labels, trainOptions.validationSplit)
+    const classCounts = trainOptions.multiLabel
+      ? countPositives(targets, splitTrainIndices, dirs.length)
+      : countLabels(labels, splitTrainIndices, dirs.length)
+    console.log('class counts', classCounts)
+    // Imbalanced labels: repeat minority images, or weight the loss per label
+    const trainIndices = trainOptions.classWeighting === 'oversample'
+      ? oversampleIndices(labels, splitTrainIndices, random)
+      : splitTrainIndices
+    const classWeight = trainOptions.classWeighting === 'balanced' ? balancedClassWeights(classCounts) : undefined
+    if (classWeight) {
+      console.log('class weights', classWeight)
+    }
+    let trainX = tf.gather(featureX, trainIndices)
+    let trainY = tf.gather(Y, trainIndices)
+    const valX = valIndices.length > 0 ? tf.gather(featureX, valIndices) : null
+    const valY = valIndices.length > 0 ? tf.gather(Y, valIndices) : null
+    tensors.push(trainX, trainY, valX, valY)
+    console.log(`train:${trainIndices.length} validation:${valIndices.length}`)
+    if(socket){socket.emit('log',`train:${trainIndices.length} validation:${valIndices.length}`)}
+
+    // Augmented copies are added to the training split only
+    let augmentedCount = 0
+    if (trainOptions.augmentation.enabled) {
+      console.log('Creating features from augmented images')
+      if(socket){socket.emit('log','creating augmented features')}
+      const onAugmentBatch = (processed, total) => {
+        throwIfCancelled(signal)
+        reportProgress('augmenting', processed, total)
+      }
+      const trainFiles = trainIndices.map(index => files[index])
+      const augmentedX = await extractAugmentedFeatures(trainFiles,backbone,featureModel,trainOptions.augmentation,onAugmentBatch,random,trainOptions.background)
+      const augmentedY = tf.tile(trainY, [trainOptions.augmentation.copies, 1])
+      augmentedCount = augmentedX.shape[0]
+      trainX = tf.concat([trainX, augmentedX])
+      trainY = tf.concat([trainY, augmentedY])
+      tensors.push(augmentedX, augmentedY, trainX, trainY)
+      console.log(`augmented:${augmentedCount}`)
+    }
+
+    const initialScores = transferModel.evaluate(trainX,trainY)
+    console.log(initialScores[1].dataSync());
+    tf.dispose(initialScores)
+
+    // Early stopping: without validation data the training metrics are monitored instead
+    const monitor = valX ? trainOptions.monitor : trainOptions.monitor.replace('val_', '')
+    const isImprovement = (value, best) => monitor.endsWith('loss') ? value < best : value > best
+    let best = null
+    let bestEpoch = -1
+    let bestWeights = null
+    let wait = 0
+    let stoppedEpoch = epochs - 1
+    let stopReason = 'completed'
+    reportProgress('fitting', 0, epochs)
+
+    const batchSize = trainOptions.batchSize === 0 ? trainX.shape[0] : trainOptions.batchSize
+    const history = await transferModel.fitDataset(featureDataset(trainX, trainY, batchSize, random), {
+      epochs: epochs,
+      validationData: valX ? [valX, valY] : undefined,
+      classWeight: classWeight,
+      callbacks: {
+        onBatchBegin: async () => reseedDropout(transferModel, random),
+        onEpochEnd: async (epoch, logs) => {
+          // Cancelled: let fit return after this epoch
+          if (signal && signal.aborted) {
+            transferModel.stopTraining = true
+          }
+          if (trainOptions.earlyStopping) {
+            const value = logs[monitor]
+            if (best === null || isImprovement(value, best)) {
+              best = value
+              bestEpoch = epoch
+              wait = 0
+              tf.dispose(bestWeights)
+              bestWeights = transferModel.getWeights().map(weight => weight.clone())
+            } else {
+              wait++
+              if (wait >= trainOptions.patience) {
+                stoppedEpoch = epoch
+                stopReason = `${monitor} did not improve for ${trainOptions.patience} epochs`
+                transferModel.stopTraining = true
+              }
+            }
+          }
+          console.log(`epoch:${epoch} loss:${logs.loss} acc:${logs.acc} val_loss:${logs.val_loss} val_acc:${logs.val_acc}`)
+          const metrics = {loss:logs.loss, acc:logs.acc, valLoss:logs.val_loss, valAcc:logs.val_acc}
+          if(socket){socket.emit('trainMetrics',{epoch:epoch, epochs:epochs, ...metrics})}
+          reportProgress('fitting', epoch + 1, epochs, metrics)
+        }
+      },
+      verbose:0
+    })
+    // Never save a half-trained model: the previous one in model/ stays as it is
+    if (signal && signal.aborted) {
+      tf.dispose(bestWeights)
+      throw cancelledError()
+    }
+    // Save the best epoch's weights rather than the last epoch's
+    if (bestWeights) {
+      transferModel.setWeights(bestWeights)
+      tf.dispose(bestWeights)
+      console.log(`restored weights from epoch:${bestEpoch} (${monitor}:${best})`)
+    }
+    const stopping = {
+      stoppedEpoch: stoppedEpoch,
+      reason: stopReason,
+      monitor: trainOptions.earlyStopping ? monitor : null,
+      bestEpoch: trainOptions.earlyStopping ? bestEpoch : null,
+      bestValue: trainOptions.earlyStopping ? best : null,
+    }
+    console.log('stopping', stopping)
+    if(socket){socket.emit('trainStopped',stopping)}
+
+    // Second stage: train the last backbone blocks and the head together on the images themselves
+    let fineTune = null
+    let fineTuneHistory = null
+    if (trainOptions.fineTune) {
+      console.log('Fine-tuning the top of the backbone')
+      if(socket){socket.emit('log','fine-tuning')}
+      const backboneModel = await loadBackboneLayersModel(backbone)
+      let unfrozenBlocks
+      try {
+        throwIfCancelled(signal)
+        unfrozenBlocks = unfreezeTopBlocks(backboneModel, trainOptions.fineTuneBlocks)
+        combinedModel = buildCombinedModel(backboneModel, transferModel, backbone)
+      } finally {
+        // Once the combined model exists it owns the backbone and is released with it
+        if (!combinedModel) {
+          backboneModel.dispose()
+        }
+      }
+      fineTuneOptimizer = createOptimizer(trainOptions.optimizer, trainOptions.fineTuneLearningRate)
+      combinedModel.compile({
+        optimizer: fineTuneOptimizer,
+        loss: lossOf(trainOptions),
+        metrics: ['accuracy'],
+      })
+      console.log('unfrozen blocks', unfrozenBlocks)
+
+      // Batches hold images rather than features, so they are capped like feature extraction to bound memory
+      const imageBatchSize = Math.min(trainOptions.batchSize || featureModelConfig.extractBatchSize, featureModelConfig.extractBatchSize)
+      const trainDataset = imageDataset(trainIndices.map(index => files[index]), trainIndices.map(index => targets[index]),
+        backbone, imageBatchSize, trainOptions.augmentation.enabled ? trainOptions.augmentation : null, random, trainOptions.background)
+      const valDataset = valIndices.length > 0
+        ? imageDataset(valIndices.map(index => files[index]), valIndices.map(index => targets[index]), backbone, imageBatchSize, null, random, trainOptions.background)
+        : undefined
+      const headEpochs = history.epoch.length
+      reportProgress('finetuning', 0, trainOptions.fineTuneEpochs)
+      fineTuneHistory = await combinedModel.fitDataset(trainDataset, {
+        epochs: trainOptions.fineTuneEpochs,
+        validationData: valDataset,
+        classWeight: classWeight,
+        callbacks: {
+          onBatchBegin: async () => reseedDropout(combinedModel, random),
+          onBatchEnd: async () => {
+            if (signal && signal.aborted) {
+              combinedModel.stopTraining = true
+            }
+            // Epochs are long here; let cancel requests through between batches
+            await new Promise(resolve => setImmediate(resolve))
+          },
+          onEpochEnd: async (epoch, logs) => {
+            console.log(`fine-tune epoch:${epoch} loss:${logs.loss} acc:${logs.acc} val_loss:${logs.val_loss} val_acc:${logs.val_acc}`)
+            const metrics = {loss:logs.loss, acc:logs.acc, valLoss:logs.val_loss, valAcc:logs.val_acc}
+            // Epochs continue from the head stage so the charts show one run
+            if(socket){socket.emit('trainMetrics',{epoch:headEpochs + epoch, epochs:headEpochs + trainOptions.fineTuneEpochs, stage:'fineTune', ...metrics})}
+            reportProgress('finetuning', epoch + 1, trainOptions.fineTuneEpochs, metrics)
+          }
+        },
+        verbose: 0
+      })
+      throwIfCancelled(signal)
+      fineTune = {
+        blocks: unfrozenBlocks,
+        epochs: fineTuneHistory.epoch.length,
+        learningRate: trainOptions.fineTuneLearningRate,
+        startEpoch: headEpochs,
+      }
+    }
+    // Multi-label: per-label thresholds tuned on the validation images with the final model
+    let thresholds = null
+    if (trainOptions.multiLabel) {
+      const valTargets = valIndices.map(index => targets[index])
+      let probabilities = []
+      if (valIndices.length > 0 && combinedModel) {
+        const predicted = await predictImages(combinedModel, valIndices.map(index => files[index]), backbone, trainOptions.background)
+        throwIfUnreadable(predicted.skipped)
+        probabilities = predicted.confidences
+      } else if (valIndices.length > 0) {
+        probabilities = tf.tidy(() => transferModel.predict(valX).arraySync())
+      }
+      thresholds = tuneThresholds(probabilities, valTargets, dirs)
+      console.log('thresholds', thresholds)
+    }
+    // console.log(history)
+    console.log('learned!')
+    if(socket){socket.emit('log','learned')}
+
+    console.log('saving model')
+    if(socket){socket.emit('log','saving model')}
+    reportProgress('saving', 0, 1)
+    // Every run is saved as a new version and, unless told otherwise, becomes the active model
+    const projectDir = path.dirname(folderPath)
+    // Labels first seen by this run are registered now that it has succeeded (in the order of its outputs)
+    const labelIds = labelIdsOf(await registerLabels(projectDir, dirs), dirs)
+    const {versionId, versionDir} = await createVersion(projectDir)
+    console.log('学習が完了し、モデルが以下のパスに保存されました:',versionDir)
+    // Training summary; scores are those of the epoch whose weights were saved
+    // (after fine-tuning, the last fine-tuning epoch, appended to the head stage's history)
+    const fullHistory = fineTuneHistory ? mergeHistories(history.history, fineTuneHistory.history) : history.history
+    const savedEpoch = fineTuneHistory ? fullHistory.loss.length - 1 : bestWeights ? bestEpoch : history.epoch.length - 1
+    const scoreAt = (values) => values && values.length > savedEpoch ? values[savedEpoch] : null
+    const outputModel = combinedModel || transferModel
+    const summary = {
+      version: versionId,
+      savedAt: new Date().toISOString(),
+      options: trainOptions,
+      // Verification must extract features with the same backbone and decode images onto the same background
+      backbone: {id: backbone.id, inputSize: backbone.inputSize, featureDim: backbone.featureDim},
+      background: trainOptions.background,
+      classes: dirs,
+      // ID of each class in the project's label registry, checked against the registry before verification
+      labelIds: labelIds,
+      datasetSize: { train: splitTrainIndices.length, validation: valIndices.length, augmented: augmentedCount, oversampled: trainIndices.length - splitTrainIndices.length },
+      // Images that could not be read and were left out
+      skipped: skippedReport(skipped, folderPath),
+      classCounts: classCounts,
+      classWeight: classWeight || null,
+      stopping: stopping,
+      // head: takes feature vectors / combined: fine-tuned backbone and head, takes images
+      modelType: combinedModel ? 'combined' : 'head',
+      fineTune: fineTune,
+      // Warm-started runs: the version they continued from and how its labels were carried over
+      warmStart: warm ? {
+        version: warm.version,
+        keptClasses: dirs.filter(label => warm.classes.includes(label)),
+        newClasses: dirs.filter(label => !warm.classes.includes(label)),
+        removedClasses: warm.classes.filter(label => !dirs.includes(label)),
+      } : null,
+      search: saveOptions.search || null,
+      // Multi-label only: score each label must reach to be tagged (projects can override them per label)
+      thresholds: thresholds,
+      final: {
+        loss: scoreAt(fullHistory.loss),
+        acc: scoreAt(fullHistory.acc),
+        valLoss: scoreAt(fullHistory.val_loss),
+        valAcc: scoreAt(fullHistory.val_acc),
+      },
+      history: fullHistory,
+    }
+    try {
+      await outputModel.save('file://'+versionDir)
+      fs.writeFileSync(path.join(versionDir,'classes.json'),JSON.stringify(dirs))
+      fs.writeFileSync(path.join(versionDir,'training.json'),JSON.stringify(summary,null,2))
+    } catch (error) {
+      // Do not leave a broken version behind (only the one created above)
+      fs.rmSync(versionDir, {recursive: true, force: true})
+      throw error
+    }
+    if (saveOptions.activate !== false) {
+      await activateVersion(projectDir, versionId)
+    }
+    console.log('model saved')
+    if(socket){socket.emit('log','model saved')}
+    reportProgress('done', 1, 1, summary.final)
+    return [outputModel,dirs,summary]
+  } catch (error) {
+    // The combined model contains the head, so disposing it releases both
+    if (combinedModel) {
+      combinedModel.dispose()
+    } else if (transferModel) {
+      transferModel.dispose()
+    }
+    throw error
+  } finally {
+    tf.dispose(tensors.filter(t => t))
+    // The returned model is only used for inference from here on
+    if (optimizer) {
+      optimizer.dispose()
+    }
+    if (fineTuneOptimizer) {
+      fineTuneOptimizer.dispose()
+    }
+  }
+}
+
+// Object detection counterpart of learnTransferModel, called by it for detection projects (options already normalized).
+// Only images with an entry in annotations.json are used; images are split into training and validation
+// before their regions are sampled, so crops of one image never end up on both sides.
+// The classifier head is saved as model.json like any other model; the box head goes to box/ in the same version.
+async function learnDetectionModel(folderPath,socket,trainOptions,signal,saveOptions) {
+  console.log('Detection train options', trainOptions)
+  const reportProgress = createProgressReporter(socket)
+  const random = createRandom(trainOptions.seed)
+  const projectDir = path.dirname(folderPath)
+
+  reportProgress('loading', 0, 1)
+  const backbone = getBackbone(trainOptions.backbone)
+  const featureModel = await loadFeatureModel(backbone.id)
+
+  const annotations = await readAnnotations(projectDir)
+  const images = Object.keys(annotations.images)
+    .filter(imagePath => fs.existsSync(path.join(folderPath, imagePath)))
+    .sort()
+  const boxLabels = [...new Set(images.flatMap(imagePath => annotations.images[imagePath].map(box => box.label)))].sort()
+  if (boxLabels.length === 0) {
+    throw new Error('No annotated boxes found. Draw boxes on the training images first.')
+  }
+  // Labels follow the order of the project's label registry (the background class has no entry in it)
+  const labels = orderLabels(await readLabelRegistry(projectDir), boxLabels)
+  const classes = [BACKGROUND, ...labels]
+  shuffleInPlace(images, random)
+  const valCount = images.length > 1 ? Math.floor(images.length * trainOptions.validationSplit) : 0
+  const valImages = images.slice(0, valCount)
+  const trainImages = images.slice(valCount)
+
+  // Regions of every image, cropped from the image and turned into features (unreadable images are skipped)
+  if(socket){socket.emit('log','creating region features')}
+  const skipped = []
+  const regionsOf = async (imagePaths, offset) => {
+    const rows = []
+    const classIndices = []
+    const targets = []
+    let imageCount = 0
+    for (const [i, imagePath] of imagePaths.entries()) {
+      const regions = sampleRegions(annotations.images[imagePath], classes, random)
+      const file = path.join(folderPath, imagePath)
+      let features
+      try {
+        features = await cropFeatures(file, regions.map(region => region.window), backbone, featureModel, trainOptions.background)
+      } catch (error) {
+        if (error.name !== 'UnreadableImage') {
+          throw error
+        }
+        skipped.push({file: file, reason: error.message})
+        continue
+      }
+      imageCount++
+      regions.forEach((region, r) => {
+        rows.push(features.subarray(r * backbone.featureDim, (r + 1) * backbone.featureDim))
+        classIndices.push(region.classIndex)
+        targets.push(region.target)
+      })
+      throwIfCancelled(signal)
+      reportProgress('extracting', offset + i + 1, images.length)
+    }
+    return {rows, classIndices, targets, imageCount}
+  }
+  const train = await regionsOf(trainImages, 0)
+  const val = await regionsOf(valImages, trainImages.length)
+  const toFeatures = (rows) => {
+    const features = new Float32Array(rows.length * backbone.featureDim)
+    rows.forEach((row, i) => features.set(row, i * backbone.featureDim))
+    return tf.tensor2d(features, [rows.length, backbone.featureDim])
+  }
+  // The box head only learns from regions that contain an object
+  const boxRows = (regions) => regions.targets.map((target, i) => target ? i : -1).filter(i => i >= 0)
+  const trainBoxIndices = boxRows(train)
+  const valBoxIndices = boxRows(val)
+  if (trainBoxIndices.length === 0) {
+    throw new Error('None of the training images has a box. Annotate more images or lower the validation split.')
+  }
+
+  const tensors = []
+  let classifier = null
+  let boxModel = null
+  const optimizers = []
+  try {
+    const trainX = toFeatures(train.rows)
+    const trainY = tf.oneHot(train.classIndices, classes.length)
+    const valX = val.rows.length > 0 ? toFeatures(val.rows) : null
+    const valY = valX ? tf.oneHot(val.classIndices, classes.length) : null
+    const trainBoxX = tf.gather(trainX, trainBoxIndices)
+    const trainBoxY = tf.tensor2d(trainBoxIndices.map(i => train.targets[i]), [trainBoxIndices.length, 4])
+    const valBoxX = valBoxIndices.length > 0 ? tf.gather(valX, valBoxIndices) : null
+    const valBoxY = valBoxX ? tf.tensor2d(valBoxIndices.map(i => val.targets[i]), [valBoxIndices.length, 4]) : null
+    tensors.push(trainX, trainY, valX, valY, trainBoxX, trainBoxY, valBoxX, valBoxY)
+    const classCounts = countLabels(train.classIndices, train.classIndices.map((_, i) => i), classes.length)
+    console.log(`regions train:${train.rows.length} validation:${val.rows.length}`, classCounts)
+    if(socket){socket.emit('log',`regions train:${train.rows.length} validation:${val.rows.length}`)}
+
+    classifier = createHeadModel(backbone.featureDim, classes.length, trainOptions, random)
+    optimizers.push(compileHeadModel(classifier, trainOptions))
+    boxModel = tf.sequential({layers: [
       tf.layers.dense({
-        inputShape: [1792],
-        units: 64,
+        inputShape: [backbone.featureDim],
+        units: trainOptions.hiddenUnits,
         activation: 'relu',
+        kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) }),
       }),
-      tf.layers.dense({ units: dirs.length, activation: 'softmax' }),
-    ],
-  })
+      tf.layers.dense({units: 4, kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) })}),
+    ]})
+    const boxOptimizer = createOptimizer(trainOptions.optimizer, trainOptions.learningRate)
+    optimizers.push(boxOptimizer)
+    boxModel.compile({optimizer: boxOptimizer, loss: 'meanSquaredError'})
+
+    const batchSizeOf = (x) => trainOptions.batchSize === 0 ? x.shape[0] : trainOptions.batchSize
+    reportProgress('fitting', 0, trainOptions.epochs)
+    const history = await classifier.fitDataset(featureDataset(trainX, trainY, batchSizeOf(trainX), random), {
+      epochs: trainOptions.epochs,
+      validationData: valX ? [valX, valY] : undefined,
+      callbacks: {
+        onBatchBegin: async () => reseedDropout(classifier, random),
+        onEpochEnd: async (epoch, logs) => {
+          if (signal && signal.aborted) {
+            classifier.stopTraining = true
+          }
+          const metrics = {loss:logs.loss, acc:logs.acc, valLoss:logs.val_loss, valAcc:logs.val_acc}
+          if(socket){socket.emit('trainMetrics',{epoch:epoch, epochs:trainOptions.epochs, ...metrics})}
+          reportProgress('fitting', epoch + 1, trainOptions.epochs, metrics)
+        }
+      },
+      verbose: 0
+    })
+    throwIfCancelled(signal)
+
+    reportProgress('fittingBoxes', 0, trainOptions.epochs)
+    const boxHistory = await boxModel.fitDataset(featureDataset(trainBoxX, trainBoxY, batchSizeOf(trainBoxX), random), {
+      epochs: trainOptions.epochs,
+      validationData: valBoxX ? [valBoxX, valBoxY] : undefined,
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          if (signal && signal.aborted) {
+            boxModel.stopTraining = true
+          }
+          reportProgress('fittingBoxes', epoch + 1, trainOptions.epochs, {loss:logs.loss, valLoss:logs.val_loss})
+        }
+      },
+      verbose: 0
+    })
+    throwIfCancelled(signal)
+
+    reportProgress('saving', 0, 1)
+    const registry = await registerLabels(projectDir, labels)
+    const {versionId, versionDir} = await createVersion(projectDir)
+    const lastOf = (values) => values && values.length > 0 ? values[values.length - 1] : null
+    const summary = {
+      version: versionId,
+      savedAt: new Date().toISOString(),
+      options: trainOptions,
+      backbone: {id: backbone.id, inputSize: backbone.inputSize, featureDim: backbone.featureDim},
+      background: trainOptions.background,
+      // Index 0 is the background class
+      classes: classes,
+      labelIds: [null, ...labelIdsOf(registry, labels)],
+      datasetSize: { train: train.imageCount, validation: val.imageCount, trainRegions: train.rows.length, validationRegions: val.rows.length },
+      skipped: skippedReport(skipped, folderPath),
+      classCounts: classCounts,
+      classWeight: null,
+      stopping: {stoppedEpoch: history.epoch.length - 1, reason: 'completed', monitor: null, bestEpoch: null, bestValue: null},
+      modelType: 'detection',
+      fineTune: null,
+      search: saveOptions.search || null,
+      thresholds: null,
+      detection: {...DEFAULT_DETECTION, boxLoss: lastOf(boxHistory.history.loss), boxValLoss: lastOf(boxHistory.history.val_loss)},
+      final: {
+        loss: lastOf(history.history.loss),
+        acc: lastOf(history.history.acc),
+        valLoss: lastOf(history.history.val_loss),
+        valAcc: lastOf(history.history.val_acc),
+      },
+      history: history.history,
+    }
+    try {
+      await classifier.save('file://'+versionDir)
+      await boxModel.save('file://'+path.join(versionDir,'box'))
+      fs.writeFileSync(path.join(versionDir,'classes.json'),JSON.stringify(classes))
+      fs.writeFileSync(path.join(versionDir,'training.json'),JSON.stringify(summary,null,2))
+    } catch (error) {
+      fs.rmSync(versionDir, {recursive: true, force: true})
+      throw error
+    }
+    if (saveOptions.activate !== false) {
+      await activateVersion(projectDir, versionId)
+    }
+    console.log('detection model saved', versionDir)
+    reportProgress('done', 1, 1, summary.final)
+    return [classifier,classes,summary]
+  } catch (error) {
+    if (classifier) {
+      classifier.dispose()
+    }
+    throw error
+  } finally {
+    tf.dispose(tensors.filter(t => t))
+    if (boxModel) {
+      boxModel.dispose()
+    }
+    optimizers.forEach(optimizer => optimizer.dispose())
+  }
+}
+
+// K-fold cross-validation of the head: k fresh heads are trained on stratified folds of the training data
+// and each is scored on the fold it did not see. Nothing is saved, so the active model stays as it is.
+// Every fold runs the full number of epochs: the held-out fold is the score, so it cannot also pick the
+// epoch (earlyStopping and validationSplit are ignored), and fine-tuning is not part of the evaluation.
+async function crossValidate(folderPath,socket=null,options={},signal=null) {
+  const trainOptions = normalizeTrainOptions(options)
+  const folds = Number(options.folds === undefined || options.folds === null || options.folds === '' ? DEFAULT_FOLDS : options.folds)
+  if (!Number.isInteger(folds) || folds < 2 || folds > 20) {
+    throw new Error('folds must be an integer between 2 and 20')
+  }
+  // Accuracy, recall and the confusion matrix below assume one label per image
+  if (trainOptions.multiLabel || trainOptions.detection) {
+    throw new Error('Cross-validation is only available for single-label projects')
+  }
+  console.log('Cross-validation options', folds, trainOptions)
+  const reportProgress = createProgressReporter(socket)
+  const random = createRandom(trainOptions.seed)
+
+  reportProgress('loading', 0, 1)
+  const backbone = getBackbone(trainOptions.backbone)
+  const featureModel = await loadFeatureModel(backbone.id)
 
-  console.log('Creating features from images - this may take a while...')
   if(socket){socket.emit('log','creating features')}
+  const cacheDir = featureCacheDir(path.dirname(folderPath), backbone)
+  const onBatch = (processed, total) => {
+    throwIfCancelled(signal)
+    reportProgress('extracting', processed, total)
+  }
+  const [featureX,Y,dirs,files,skipped] = await trainFolderToTensors(folderPath,backbone,featureModel,cacheDir,onBatch,random,null,trainOptions.background)
 
-  const featureX = featureModel.predict(X)
-  // Push data through feature detection
-  console.log(`Features stack ${featureX.shape}`)
-  if(socket){socket.emit('log',`Features stack ${featureX.shape}`)}
+  const tensors = [featureX, Y]
+  try {
+    const labels = tf.tidy(() => Y.argMax(-1).arraySync())
+    if (labels.length < folds) {
+      throw new Error(`${folds}-fold cross-validation needs at least ${folds} images (found ${labels.length})`)
+    }
+    const foldIndices = stratifiedFolds(labels, folds)
 
-  transferModel.compile({
-    optimizer: tf.train.adam(),
-    loss: 'categoricalCrossentropy',
-    metrics: ['accuracy'],
-  })
+    // Augmented copies are drawn once for every image; each fold trains on the copies of its training images
+    let augmentedX = null
+    if (trainOptions.augmentation.enabled) {
+      if(socket){socket.emit('log','creating augmented features')}
+      const onAugmentBatch = (processed, total) => {
+        throwIfCancelled(signal)
+        reportProgress('augmenting', processed, total)
+      }
+      augmentedX = await extractAugmentedFeatures(files,backbone,featureModel,trainOptions.augmentation,onAugmentBatch,random,trainOptions.background)
+      tensors.push(augmentedX)
+    }
 
-  console.log(transferModel.evaluate(featureX,Y)[1].dataSync());
+    // confusionMatrix[actual][predicted], summed over the folds
+    const confusionMatrix = dirs.map(() => new Array(dirs.length).fill(0))
+    const foldResults = []
+    const totalEpochs = folds * trainOptions.epochs
+    reportProgress('crossValidating', 0, totalEpochs)
+    for (let fold = 0; fold < folds; fold++) {
+      throwIfCancelled(signal)
+      const testIndices = foldIndices[fold]
+      const splitTrainIndices = foldIndices.filter((_, index) => index !== fold).flat()
+      const classCounts = countLabels(labels, splitTrainIndices, dirs.length)
+      const trainIndices = trainOptions.classWeighting === 'oversample'
+        ? oversampleIndices(labels, splitTrainIndices, random)
+        : splitTrainIndices
+      const classWeight = trainOptions.classWeighting === 'balanced' ? balancedClassWeights(classCounts) : undefined
+      // Augmented features are laid out copy by copy, files.length rows per copy
+      const augmentedIndices = augmentedX
+        ? Array.from({length: trainOptions.augmentation.copies}, (_, copy) => trainIndices.map(index => copy * files.length + index)).flat()
+        : []
 
-  const history = await transferModel.fit(featureX, Y, {
-    epochs: 100,
-    callbacks: {
-      onEpochEnd: async (epoch, logs) => {
-        if (false) {
-          model.stopTraining = true
-        }
-        console.log(`epoch:${epoch} acc:${logs.acc}`)
-        if(socket){socket.emit('updateProgress',epoch)}
-      }
-    },
-    verbose:false
-  })
-  // console.log(history)
-  console.log('learned!')
-  if(socket){socket.emit('log','learned')}
-
-  console.log('saving model')
-  if(socket){socket.emit('log','saving model')}
-  modelPath = path.dirname(folderPath)
-  modelPath = path.join(modelPath,'model')
-  console.log('学習が完了し、モデルが以下のパスに保存されました:',modelPath)
-  await transferModel.save('file://'+modelPath)
-  classPath = path.join(modelPath,'classes.json')
-  fs.writeFileSync(classPath,JSON.stringify(dirs))
-  console.log('model saved')
-  if(socket){socket.emit('log','model saved')}
-  return [transferModel,dirs]
-}
-
-async function validateImages(folderPath) {
+      const model = createHeadModel(backbone.featureDim, dirs.length, trainOptions, random)
+      const optimizer = compileHeadModel(model, trainOptions)
+      const foldTensors = []
+      try {
+        const [trainX, trainY, testX] = tf.tidy(() => {
+          let x = tf.gather(featureX, trainIndices)
+          let y = tf.gather(Y, trainIndices)
+          if (augmentedIndices.length > 0) {
+            x = tf.concat([x, tf.gather(augmentedX, augmentedIndices)])
+            y = tf.concat([y, tf.tile(tf.gather(Y, trainIndices), [trainOptions.augmentation.copies, 1])])
+          }
+          return [x, y, tf.gather(featureX, testIndices)]
+        })
+        foldTensors.push(trainX, trainY, testX)
+
+        const batchSize = trainOptions.batchSize === 0 ? trainX.shape[0] : trainOptions.batchSize
+        await model.fitDataset(featureDataset(trainX, trainY, batchSize, random), {
+          epochs: trainOptions.epochs,
+          classWeight: classWeight,
+          callbacks: {
+            onBatchBegin: async () => reseedDropout(model, random),
+            onEpochEnd: async (epoch, logs) => {
+              if (signal && signal.aborted) {
+                model.stopTraining = true
+              }
+              reportProgress('crossValidating', fold * trainOptions.epochs + epoch + 1, totalEpochs, {loss:logs.loss, acc:logs.acc})
+            }
+          },
+          verbose:0
+        })
+        throwIfCancelled(signal)
+
+        const predicted = tf.tidy(() => model.predict(testX).argMax(-1).arraySync())
+        let correct = 0
+        predicted.forEach((label, i) => {
+          const actual = labels[testIndices[i]]
+          confusionMatrix[actual][label]++
+          if (label === actual) {
+            correct++
+          }
+        })
+        const accuracy = correct / testIndices.length
+        foldResults.push({fold: fold, train: splitTrainIndices.length, test: testIndices.length, accuracy: accuracy})
+        console.log(`fold:${fold} train:${splitTrainIndices.length} test:${testIndices.length} acc:${accuracy}`)
+        if(socket){socket.emit('crossValidationFold',{fold:fold, folds:folds, accuracy:accuracy})}
+      } finally {
+        tf.dispose(foldTensors)
+        model.dispose()
+        optimizer.dispose()
+      }
+    }
+
+    const accuracies = foldResults.map(result => result.accuracy)
+    const mean = accuracies.reduce((sum, value) => sum + value, 0) / folds
+    const std = Math.sqrt(accuracies.reduce((sum, value) => sum + (value - mean) ** 2, 0) / folds)
+    // Recall per label over all held-out predictions (null for a label without images)
+    const perClassRecall = {}
+    dirs.forEach((label, index) => {
+      const actualCount = confusionMatrix[index].reduce((sum, count) => sum + count, 0)
+      perClassRecall[label] = actualCount > 0 ? confusionMatrix[index][index] / actualCount : null
+    })
+    const result = {
+      savedAt: new Date().toISOString(),
+      folds: folds,
+      options: trainOptions,
+      backbone: backbone.id,
+      classes: dirs,
+      datasetSize: labels.length,
+      skipped: skippedReport(skipped, folderPath),
+      accuracy: {mean: mean, std: std},
+      foldResults: foldResults,
+      perClassRecall: perClassRecall,
+      confusionMatrix: confusionMatrix,
+    }
+    console.log('cross-validation', result.accuracy, perClassRecall)
+    reportProgress('done', 1, 1, {acc: mean})
+    return result
+  } finally {
+    tf.dispose(tensors)
+  }
+}
+
+// thresholdOverrides: per-label thresholds from the project settings, used instead of the tuned ones (multi-label models)
+async function validateImages(folderPath, thresholdOverrides={}) {
   const hrstart = process.hrtime()
 
-  console.log('Loading images - this may take a while...')
-  const [X, names] = await verifyFolderToTensors(folderPath,[224,224])
-  
   console.log('Loading model')
-  // Load feature model
-  const featureModel = await tf.loadGraphModel('https://www.kaggle.com/models/google/mobilenet-v2/TfJs/140-224-feature-vector/3', {fromTFHub: true});
-  // const path = 'sotsuken/mobilenet-v2-tfjs-140-224-feature-vector-v3-colab/model.json'
-  // const featureModel = await tf.loadLayersModel('file://'+path);
-  // featureModel:tf.Model
-  modelPath = path.dirname(folderPath)
-  modelPath = path.dirname(modelPath)
-  modelPath = path.join(modelPath,'model')
-  classPath = path.join(modelPath,'classes.json')
-  modelPath = path.join(modelPath,'model.json')
-  const transferModel = await tf.loadLayersModel('file://'+modelPath)
-  const classes = JSON.parse(fs.readFileSync(classPath).toString())
+  const projectDir = path.dirname(path.dirname(folderPath))
+  // The active version chosen in the project sidebar
+  const versionDir = await getActiveVersionDir(projectDir)
+  if (!versionDir) {
+    throw new Error('No trained model found. Train the project first.')
+  }
+  // Load the feature model the version was trained with (models saved before backbones were selectable used the default one)
+  const trainingPath = path.join(versionDir,'training.json')
+  const training = fs.existsSync(trainingPath) ? JSON.parse(fs.readFileSync(trainingPath).toString()) : {}
+  const backbone = getBackbone(training.backbone ? training.backbone.id : DEFAULT_BACKBONE)
+  // Images are flattened onto the background the version was trained with
+  const background = training.background || DEFAULT_BACKGROUND
+  const classes = JSON.parse(fs.readFileSync(path.join(versionDir,'classes.json')).toString())
   // console.log(classes)
+  // Fail before predicting anything if the project's labels no longer match the model's outputs
+  const detection = training.modelType === 'detection'
+  const labels = await resolveModelLabels(
+    projectDir,
+    detection ? classes.slice(1) : classes,
+    training.labelIds ? (detection ? training.labelIds.slice(1) : training.labelIds) : null
+  )
+  const transferModel = await tf.loadLayersModel('file://'+path.join(versionDir,'model.json'))
+  let names
+  let confidences
+  // Images that could not be read, reported with the result instead of failing the verification
+  let skipped
+  try {
+    const outputUnits = transferModel.outputs[0].shape[1]
+    if (outputUnits !== classes.length) {
+      throw new Error(`The model has ${outputUnits} outputs but classes.json lists ${classes.length} labels`)
+    }
+
+    if (detection) {
+      return {...await detectFolder(folderPath, versionDir, transferModel, classes, backbone, training.detection || DEFAULT_DETECTION, background, hrstart), labels: labels}
+    }
 
-  console.log('Creating features from images - this may take a while...')
+    if (training.modelType === 'combined') {
+      // Fine-tuned models contain the backbone and take the images themselves
+      console.log('Predicting from images...')
+      const predicted = await predictImages(transferModel, await findImages(folderPath), backbone, background)
+      names = predicted.files.map(file => path.basename(file))
+      confidences = predicted.confidences
+      skipped = predicted.skipped
+    } else {
+      const featureModel = await loadFeatureModel(backbone.id)
+      const expectedDim = transferModel.inputs[0].shape[1]
+      if (expectedDim !== backbone.featureDim) {
+        throw new Error(`The model expects ${expectedDim} features but backbone ${backbone.id} produces ${backbone.featureDim}`)
+      }
 
-  const featureX = featureModel.predict(X)
-  // Push data through feature detection
-  console.log(`Features stack ${featureX.shape}`)
+      console.log('Loading images and creating features - this may take a while...')
+      const [featureX, featureNames, featureSkipped] = await verifyFolderToTensors(folderPath,backbone,featureModel,featureCacheDir(projectDir, backbone),null,background)
+      console.log(`Features stack ${featureX.shape}`)
+      names = featureNames
+      skipped = featureSkipped
 
-  console.log('Predicting...')
-  const predicted = transferModel.predict(featureX)
-  // Push data through feature detection
-  console.log(`Features stack ${predicted.shape}`)
-  confidences = predicted.arraySync()
+      console.log('Predicting...')
+      if (names.length > 0) {
+        const predicted = transferModel.predict(featureX)
+        console.log(`Predicted ${predicted.shape}`)
+        confidences = predicted.arraySync()
+        predicted.dispose()
+      } else {
+        confidences = []
+      }
+      featureX.dispose()
+    }
+  } finally {
+    transferModel.dispose()
+  }
+  const multiLabel = Boolean(training.options && training.options.multiLabel)
+  const thresholds = {}
+  if (multiLabel) {
+    classes.forEach(label => {
+      thresholds[label] = thresholdOverrides[label] || (training.thresholds && training.thresholds[label]) || DEFAULT_THRESHOLD
+    })
+  }
   const images = []
   for (const [i, name] of Object.entries(names)){
-    images.push({name:name,confidence:confidences[i]})
+    const image = {name:name,confidence:confidences[i]}
+    if (multiLabel) {
+      // Every label whose score reaches its threshold
+      image.labels = classes.filter((label, index) => confidences[i][index] >= thresholds[label])
+    }
+    images.push(image)
   }
   console.log(images)
   const hrend = process.hrtime(hrstart)
   const execTime_ms = hrend[0]*1e3 + hrend[1]*1e-6
   const result = {
     classes:classes,
+    // Registry entry of each class ({id, name, displayName}), for showing the display names
+    labels:labels,
     images:images,
+    multiLabel:multiLabel,
+    thresholds:multiLabel ? thresholds : null,
+    skipped:skippedReport(skipped, folderPath),
     execTime_ms:execTime_ms
   }
   return result
 }
 
+// Verification with a detection model: the boxes found in every image, best first
+async function detectFolder(folderPath, versionDir, classifier, classes, backbone, settings, background, hrstart) {
+  const boxModel = await tf.loadLayersModel('file://'+path.join(versionDir,'box','model.json'))
+  try {
+    const featureModel = await loadFeatureModel(backbone.id)
+    const files = await findImages(folderPath)
+    const images = []
+    const skipped = []
+    for (const file of files) {
+      try {
+        images.push({name:path.basename(file), detections:await detectImage(file, classifier, boxModel, classes, backbone, featureModel, settings, background)})
+      } catch (error) {
+        if (error.name !== 'UnreadableImage') {
+          throw error
+        }
+        skipped.push({file: file, reason: error.message})
+      }
+    }
+    const hrend = process.hrtime(hrstart)
+    return {
+      classes:classes.filter(label => label !== BACKGROUND),
+      images:images,
+      multiLabel:false,
+      thresholds:null,
+      detection:true,
+      skipped:skippedReport(skipped, folderPath),
+      execTime_ms:hrend[0]*1e3 + hrend[1]*1e-6
+    }
+  } finally {
+    boxModel.dispose()
+  }
+}
+
 module.exports = {
+  DEFAULT_TRAIN_OPTIONS:DEFAULT_TRAIN_OPTIONS,
+  normalizeTrainOptions:normalizeTrainOptions,
+  loadFeatureModel:loadFeatureModel,
   learnTransferModel:learnTransferModel,
+  crossValidate:crossValidate,
   validateImages:validateImages,
 }
 
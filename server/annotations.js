@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeImagePath } = require('./manifest');
+
+// 物体検出のプロジェクトで画像ごとの矩形 (バウンディングボックス) を記録するファイル (projects/<プロジェクト名>/annotations.json)
+//   { "images": { "<ラベルフォルダ>/<ファイル名>": [{ "label": "dog", "x": 0.1, "y": 0.2, "width": 0.3, "height": 0.4 }, ...] } }
+// 座標は画像の幅・高さに対する割合 (0 - 1) で、x, y は矩形の左上
+// 記録の無い画像は学習に使わず、矩形を空の配列にした画像は何も写っていない例として学習に使う
+
+const ANNOTATIONS_FILE = 'annotations.json';
+
+// 矩形を検証して正規化する関数 (画像からはみ出した分は切り詰める)
+function normalizeBox(box) {
+  if (!box || typeof box !== 'object') {
+    throw new Error('矩形は { label, x, y, width, height } で指定してください');
+  }
+  const label = String(box.label || '').trim();
+  if (label === '' || /[\\/]/.test(label)) {
+    throw new Error(`不正なラベル名です: ${box.label}`);
+  }
+  const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => {
+    const value = Number(box[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`矩形の ${key} は数値で指定してください`);
+    }
+    return value;
+  });
+  const left = Math.max(0, x);
+  const top = Math.max(0, y);
+  const right = Math.min(1, x + width);
+  const bottom = Math.min(1, y + height);
+  if (right <= left || bottom <= top) {
+    throw new Error(`画像の外側か大きさの無い矩形です: ${label}`);
+  }
+  return { label, x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// 記録全体を検証して正規化する関数
+function normalizeAnnotations(annotations = {}) {
+  const images = {};
+  for (const [imagePath, boxes] of Object.entries((annotations && annotations.images) || {})) {
+    if (!Array.isArray(boxes)) {
+      throw new Error(`矩形は配列で指定してください: ${imagePath}`);
+    }
+    images[normalizeImagePath(imagePath)] = boxes.map(normalizeBox);
+  }
+  return { images };
+}
+
+// 矩形の記録を読み込む関数 (ファイルが無い場合は空)
+async function readAnnotations(projectDir) {
+  const annotationsPath = path.join(projectDir, ANNOTATIONS_FILE);
+  if (!(await fs.pathExists(annotationsPath))) {
+    return { images: {} };
+  }
+  return normalizeAnnotations(await fs.readJson(annotationsPath));
+}
+
+// 矩形の記録を保存する関数
+async function writeAnnotations(projectDir, annotations) {
+  const normalized = normalizeAnnotations(annotations);
+  await fs.writeJson(path.join(projectDir, ANNOTATIONS_FILE), normalized, { spaces: 2 });
+  return normalized;
+}
+
+// 1 枚の画像の矩形を設定して保存する関数 (boxes を null にすると記録から外し、学習に使わない画像に戻す)
+async function setImageBoxes(projectDir, imagePath, boxes) {
+  const annotations = await readAnnotations(projectDir);
+  const key = normalizeImagePath(imagePath);
+  if (boxes === null) {
+    delete annotations.images[key];
+  } else {
+    if (!Array.isArray(boxes)) {
+      throw new Error('boxes は配列で指定してください');
+    }
+    annotations.images[key] = boxes;
+  }
+  return writeAnnotations(projectDir, annotations);
+}
+
+module.exports = {
+  readAnnotations,
+  writeAnnotations,
+  setImageBoxes,
+};
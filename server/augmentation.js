@@ -0,0 +1,110 @@
+const tf = require('@tensorflow/tfjs-node')
+
+// Default augmentation settings (disabled until a project turns it on)
+const DEFAULT_AUGMENTATION = {
+  enabled: false,
+  copies: 2,            // augmented copies generated per training image
+  horizontalFlip: true,
+  verticalFlip: false,
+  rotation: 15,         // max rotation in degrees (both directions)
+  zoom: 0.2,            // max fraction cropped away before resizing back (random crop/zoom)
+  brightness: 0.2,      // max brightness shift on the 0-1 pixel scale
+  contrast: 0.2,        // max relative contrast change
+}
+
+// Merge the given settings over the defaults and reject anything unusable
+function normalizeAugmentation(settings = {}) {
+  const merged = {...DEFAULT_AUGMENTATION, ...(settings || {})}
+  const toBoolean = (value) => value === true || value === 'true'
+  const toNumber = (key, min, max) => {
+    const value = Number(merged[key])
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`augmentation.${key} must be a number between ${min} and ${max}`)
+    }
+    return value
+  }
+  const normalized = {
+    enabled: toBoolean(merged.enabled),
+    copies: toNumber('copies', 1, 20),
+    horizontalFlip: toBoolean(merged.horizontalFlip),
+    verticalFlip: toBoolean(merged.verticalFlip),
+    rotation: toNumber('rotation', 0, 180),
+    zoom: toNumber('zoom', 0, 0.9),
+    brightness: toNumber('brightness', 0, 1),
+    contrast: toNumber('contrast', 0, 1),
+  }
+  if (!Number.isInteger(normalized.copies)) {
+    throw new Error('augmentation.copies must be an integer')
+  }
+  return normalized
+}
+
+// Uniform random number in [-range, range]
+function randomSymmetric(range, random) {
+  return (random() * 2 - 1) * range
+}
+
+// Rotate an [h, w, c] image around its centre with nearest-neighbour sampling.
+// Built from gatherND because tfjs-node has no rotate/transform kernel; pixels rotated in from outside are black.
+function rotateImage(image, radians) {
+  const [height, width] = image.shape
+  const centerX = (width - 1) / 2
+  const centerY = (height - 1) / 2
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const indices = new Int32Array(height * width * 2)
+  const mask = new Float32Array(height * width)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.round(cos * (x - centerX) + sin * (y - centerY) + centerX)
+      const sourceY = Math.round(-sin * (x - centerX) + cos * (y - centerY) + centerY)
+      const i = y * width + x
+      const inside = sourceX >= 0 && sourceX < width && sourceY >= 0 && sourceY < height
+      indices[i * 2] = inside ? sourceY : 0
+      indices[i * 2 + 1] = inside ? sourceX : 0
+      mask[i] = inside ? 1 : 0
+    }
+  }
+  return tf.tidy(() => {
+    const gathered = tf.gatherND(image, tf.tensor3d(indices, [height, width, 2], 'int32'))
+    return gathered.mul(tf.tensor3d(mask, [height, width, 1]))
+  })
+}
+
+// Apply one random augmentation to an [h, w, 3] image with values in 0-1
+function augmentImage(image, augmentation, random = Math.random) {
+  return tf.tidy(() => {
+    const [height, width] = image.shape
+    let result = image
+    if (augmentation.horizontalFlip && random() < 0.5) {
+      result = tf.reverse(result, 1)
+    }
+    if (augmentation.verticalFlip && random() < 0.5) {
+      result = tf.reverse(result, 0)
+    }
+    if (augmentation.rotation > 0) {
+      result = rotateImage(result, randomSymmetric(augmentation.rotation, random) * Math.PI / 180)
+    }
+    if (augmentation.zoom > 0) {
+      // Random crop covering (1 - zoom) to 100% of each side, resized back to the original size
+      const scale = 1 - random() * augmentation.zoom
+      const top = random() * (1 - scale)
+      const left = random() * (1 - scale)
+      result = tf.image.cropAndResize(result.expandDims(0), [[top, left, top + scale, left + scale]], [0], [height, width]).squeeze([0])
+    }
+    if (augmentation.brightness > 0) {
+      result = result.add(randomSymmetric(augmentation.brightness, random))
+    }
+    if (augmentation.contrast > 0) {
+      const mean = result.mean()
+      result = result.sub(mean).mul(1 + randomSymmetric(augmentation.contrast, random)).add(mean)
+    }
+    return result.clipByValue(0, 1)
+  })
+}
+
+module.exports = {
+  DEFAULT_AUGMENTATION:DEFAULT_AUGMENTATION,
+  normalizeAugmentation:normalizeAugmentation,
+  augmentImage:augmentImage,
+}
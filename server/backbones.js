@@ -0,0 +1,23 @@
+const featureModelConfig = require('../config/featureModel');
+
+// 特徴抽出モデル (バックボーン) の一覧 (config/featureModel.js で定義)
+
+// ID からバックボーンの設定を取得する関数 (未知の ID は例外を投げる)
+function getBackbone(backboneId = featureModelConfig.defaultBackbone) {
+  const backbone = featureModelConfig.backbones.find(item => item.id === backboneId);
+  if (!backbone) {
+    throw new Error(`Unknown backbone: ${backboneId}`);
+  }
+  return backbone;
+}
+
+// 画面表示用のバックボーン一覧を取得する関数
+function listBackbones() {
+  return featureModelConfig.backbones.map(({ id, name, inputSize, featureDim }) => ({ id, name, inputSize, featureDim }));
+}
+
+module.exports = {
+  DEFAULT_BACKBONE: featureModelConfig.defaultBackbone,
+  getBackbone,
+  listBackbones,
+};
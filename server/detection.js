@@ -0,0 +1,206 @@
+const tf = require('@tensorflow/tfjs-node')
+const featureModelConfig = require('../config/featureModel')
+const {shuffleInPlace} = require('./random')
+const {DEFAULT_BACKGROUND, imageFileToTensor} = require('./images')
+
+// Object detection built on the classification backbone, small enough to train on CPU.
+// Every image is covered by a fixed grid of windows at several sizes. Each window (and, when training, each annotated
+// box and jittered copies of it) is cropped, resized to the backbone input and turned into a feature vector.
+// A classifier head labels each window as one of the labels or as background, and a box head regresses the window
+// onto the object's box. Overlapping detections of the same label are merged by non-maximum suppression.
+// Boxes are {label, x, y, width, height} relative to the image size (0-1), x and y being the top-left corner.
+
+// Class 0 of every detection model
+const BACKGROUND = '__background__'
+
+// Window sizes as a fraction of the image's width and height; windows step by half their size
+const WINDOW_SIZES = [1, 0.75, 0.5, 0.35, 0.25]
+
+// Training windows overlapping an annotated box by at least POSITIVE_IOU learn its label,
+// those overlapping every box by less than NEGATIVE_IOU learn background, and the rest are left out
+const POSITIVE_IOU = 0.5
+const NEGATIVE_IOU = 0.3
+const JITTERED_COPIES = 4
+const NEGATIVES_PER_POSITIVE = 3
+
+// Detection defaults, saved with the model so verification uses the values it was trained with
+const DEFAULT_DETECTION = {
+  scoreThreshold: 0.5,
+  nmsIou: 0.3,
+  maxDetections: 20,
+}
+
+function windowGrid() {
+  const windows = []
+  for (const size of WINDOW_SIZES) {
+    const positions = []
+    for (let position = 0; position <= 1 - size + 1e-9; position += size / 2) {
+      positions.push(position)
+    }
+    // Always reach the right and bottom edges
+    if (positions[positions.length - 1] < 1 - size - 1e-9) {
+      positions.push(1 - size)
+    }
+    for (const y of positions) {
+      for (const x of positions) {
+        windows.push({x: x, y: y, width: size, height: size})
+      }
+    }
+  }
+  return windows
+}
+
+function iou(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+  if (width <= 0 || height <= 0) {
+    return 0
+  }
+  const intersection = width * height
+  return intersection / (a.width * a.height + b.width * b.height - intersection)
+}
+
+// Box head targets: center offsets relative to the window size, and log size ratios
+function encodeBox(window, box) {
+  return [
+    (box.x + box.width / 2 - window.x - window.width / 2) / window.width,
+    (box.y + box.height / 2 - window.y - window.height / 2) / window.height,
+    Math.log(box.width / window.width),
+    Math.log(box.height / window.height),
+  ]
+}
+
+function decodeBox(window, deltas) {
+  const centerX = window.x + window.width / 2 + deltas[0] * window.width
+  const centerY = window.y + window.height / 2 + deltas[1] * window.height
+  const width = window.width * Math.exp(deltas[2])
+  const height = window.height * Math.exp(deltas[3])
+  const left = Math.max(0, centerX - width / 2)
+  const top = Math.max(0, centerY - height / 2)
+  const right = Math.min(1, centerX + width / 2)
+  const bottom = Math.min(1, centerY + height / 2)
+  return {x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top)}
+}
+
+// A copy of the box shifted by up to 10% and scaled by up to 15% of its size, kept inside the image
+function jitterBox(box, random) {
+  const scale = () => 1 + (random() * 2 - 1) * 0.15
+  const shift = () => (random() * 2 - 1) * 0.1
+  const width = Math.min(1, box.width * scale())
+  const height = Math.min(1, box.height * scale())
+  const x = Math.min(Math.max(0, box.x + box.width / 2 + shift() * box.width - width / 2), 1 - width)
+  const y = Math.min(Math.max(0, box.y + box.height / 2 + shift() * box.height - height / 2), 1 - height)
+  return {x: x, y: y, width: width, height: height}
+}
+
+// Training regions of one image: [{window, classIndex, target}], target being the box head's target (null for background).
+// All positive regions are kept; background windows are sampled up to NEGATIVES_PER_POSITIVE times as many.
+function sampleRegions(boxes, classes, random) {
+  const positives = []
+  const negatives = []
+  const addPositive = (window, box) => {
+    positives.push({window: window, classIndex: classes.indexOf(box.label), target: encodeBox(window, box)})
+  }
+  for (const box of boxes) {
+    addPositive(box, box)
+    for (let copy = 0; copy < JITTERED_COPIES; copy++) {
+      const jittered = jitterBox(box, random)
+      if (iou(jittered, box) >= POSITIVE_IOU) {
+        addPositive(jittered, box)
+      }
+    }
+  }
+  for (const window of windowGrid()) {
+    let best = null
+    let bestIou = 0
+    for (const box of boxes) {
+      const overlap = iou(window, box)
+      if (overlap > bestIou) {
+        best = box
+        bestIou = overlap
+      }
+    }
+    if (bestIou >= POSITIVE_IOU) {
+      addPositive(window, best)
+    } else if (bestIou < NEGATIVE_IOU) {
+      negatives.push({window: window, classIndex: 0, target: null})
+    }
+  }
+  shuffleInPlace(negatives, random)
+  return positives.concat(negatives.slice(0, Math.max(positives.length, 1) * NEGATIVES_PER_POSITIVE))
+}
+
+// Feature vectors of the given windows of one image; the image is decoded once and cropped in batches
+async function cropFeatures(file, windows, backbone, featureModel, background=DEFAULT_BACKGROUND) {
+  const size = [backbone.inputSize, backbone.inputSize]
+  const dim = backbone.featureDim
+  const batchSize = featureModelConfig.extractBatchSize
+  const features = new Float32Array(windows.length * dim)
+  const decoded = await imageFileToTensor(file, background)
+  const image = tf.tidy(() => decoded.toFloat().expandDims(0))
+  decoded.dispose()
+  try {
+    for (let start = 0; start < windows.length; start += batchSize) {
+      const batch = windows.slice(start, start + batchSize)
+      const computed = tf.tidy(() => {
+        const boxes = tf.tensor2d(batch.map(w => [w.y, w.x, w.y + w.height, w.x + w.width]), [batch.length, 4])
+        const crops = tf.image.cropAndResize(image, boxes, new Array(batch.length).fill(0), size).div(tf.scalar(255))
+        return featureModel.predict(crops).dataSync()
+      })
+      features.set(computed, start * dim)
+      await new Promise(resolve => setImmediate(resolve))
+    }
+  } finally {
+    image.dispose()
+  }
+  return features
+}
+
+// Detections in one image, best first: [{label, score, x, y, width, height}]
+async function detectImage(file, classifier, boxModel, classes, backbone, featureModel, settings=DEFAULT_DETECTION, background=DEFAULT_BACKGROUND) {
+  const windows = windowGrid()
+  const features = await cropFeatures(file, windows, backbone, featureModel, background)
+  const [scores, deltas] = tf.tidy(() => {
+    const x = tf.tensor2d(features, [windows.length, backbone.featureDim])
+    return [classifier.predict(x).arraySync(), boxModel.predict(x).arraySync()]
+  })
+
+  // Each window votes for its best non-background label
+  const candidates = []
+  windows.forEach((window, i) => {
+    let classIndex = 1
+    for (let c = 2; c < classes.length; c++) {
+      if (scores[i][c] > scores[i][classIndex]) {
+        classIndex = c
+      }
+    }
+    if (scores[i][classIndex] >= settings.scoreThreshold) {
+      candidates.push({classIndex: classIndex, score: scores[i][classIndex], box: decodeBox(window, deltas[i])})
+    }
+  })
+
+  const detections = []
+  for (let classIndex = 1; classIndex < classes.length; classIndex++) {
+    const ofClass = candidates.filter(candidate => candidate.classIndex === classIndex && candidate.box.width > 0 && candidate.box.height > 0)
+    if (ofClass.length === 0) {
+      continue
+    }
+    const boxes = tf.tensor2d(ofClass.map(({box}) => [box.y, box.x, box.y + box.height, box.x + box.width]), [ofClass.length, 4])
+    const boxScores = tf.tensor1d(ofClass.map(candidate => candidate.score))
+    const kept = await tf.image.nonMaxSuppressionAsync(boxes, boxScores, settings.maxDetections, settings.nmsIou)
+    for (const index of kept.arraySync()) {
+      detections.push({label: classes[classIndex], score: ofClass[index].score, ...ofClass[index].box})
+    }
+    tf.dispose([boxes, boxScores, kept])
+  }
+  detections.sort((a, b) => b.score - a.score)
+  return detections.slice(0, settings.maxDetections)
+}
+
+module.exports = {
+  BACKGROUND,
+  DEFAULT_DETECTION,
+  sampleRegions,
+  cropFeatures,
+  detectImage,
+}
@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// アプリ全体の設定ファイル (<ルート>/settings.json)
+//   { "optimization": "speed" | "accuracy" }
+// optimization で選んだプリセットが、各プロジェクトのバックボーン・データ拡張・学習設定の初期値を決める
+// プロジェクトは設定の preset で全体の設定を上書きできる (global: 全体の設定に従う / custom: プリセットを使わない)
+
+const SETTINGS_FILE = 'settings.json';
+const OPTIMIZATIONS = ['speed', 'accuracy'];
+const PROJECT_PRESETS = ['global', ...OPTIMIZATIONS, 'custom'];
+
+// プリセット
+//   backbone:     使用するバックボーン (config/featureModel.js の backbones の ID)
+//   augmentation: プロジェクトのデータ拡張設定に上書きする値
+//   trainOptions: 学習設定フォームの初期値に上書きする値
+const OPTIMIZATION_PRESETS = {
+  // 小さいバックボーン・低い入力解像度 (160px)・少ないエポック数
+  speed: {
+    backbone: 'mobilenet-v2-050-160',
+    augmentation: { enabled: false },
+    trainOptions: { epochs: 30, earlyStopping: false },
+  },
+  // 大きいバックボーン・データ拡張・Early stopping
+  accuracy: {
+    backbone: 'mobilenet-v2-140-224',
+    augmentation: { enabled: true },
+    trainOptions: { epochs: 200, earlyStopping: true, patience: 15 },
+  },
+};
+
+// 設定の既定値を返す関数 (設定画面で最初に選ばれている Optimize for Speed)
+function defaultGlobalSettings() {
+  return { optimization: 'speed' };
+}
+
+// 設定値を検証して正規化する関数 (不正な値は例外を投げる)
+function normalizeGlobalSettings(settings = {}) {
+  const optimization = settings.optimization || defaultGlobalSettings().optimization;
+  if (!OPTIMIZATIONS.includes(optimization)) {
+    throw new Error(`optimization must be one of ${OPTIMIZATIONS.join(', ')}`);
+  }
+  return { ...settings, optimization };
+}
+
+// 全体の設定を読み込む関数 (ファイルが無い場合は既定値)
+async function readGlobalSettings(rootDir) {
+  const settingsPath = path.join(rootDir, SETTINGS_FILE);
+  if (!(await fs.pathExists(settingsPath))) {
+    return defaultGlobalSettings();
+  }
+  return normalizeGlobalSettings(await fs.readJson(settingsPath));
+}
+
+// 全体の設定を保存する関数 (既存の設定に上書きマージする)
+async function writeGlobalSettings(rootDir, changes) {
+  const current = await readGlobalSettings(rootDir);
+  const settings = normalizeGlobalSettings({ ...current, ...changes });
+  await fs.writeJson(path.join(rootDir, SETTINGS_FILE), settings, { spaces: 2 });
+  return settings;
+}
+
+// プロジェクトに適用するプリセットと、それを反映したバックボーン・データ拡張・学習設定の初期値を返す関数
+// preset.name はプリセット名 (custom の場合は null)、preset.source は global か project
+function applyPreset(globalSettings, projectSettings) {
+  const source = projectSettings.preset === 'global' ? 'global' : 'project';
+  const name = source === 'global' ? globalSettings.optimization : projectSettings.preset;
+  const preset = OPTIMIZATION_PRESETS[name];
+  if (!preset) {
+    return { preset: { name: null, source }, backbone: projectSettings.backbone, augmentation: projectSettings.augmentation, trainOptions: {} };
+  }
+  return {
+    preset: { name, source },
+    backbone: preset.backbone,
+    augmentation: { ...projectSettings.augmentation, ...preset.augmentation },
+    trainOptions: preset.trainOptions,
+  };
+}
+
+module.exports = {
+  OPTIMIZATIONS,
+  PROJECT_PRESETS,
+  OPTIMIZATION_PRESETS,
+  readGlobalSettings,
+  writeGlobalSettings,
+  applyPreset,
+};
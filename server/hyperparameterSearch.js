@@ -0,0 +1,166 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { learnTransferModel, normalizeTrainOptions } = require('./TFhelper');
+const { createRandom, shuffleInPlace } = require('./random');
+
+// ハイパーパラメータ探索 (学習率・中間層のユニット数・ドロップアウト・エポック数)
+// 候補値の組み合わせを grid (全組み合わせを順番に) または random (重複なくランダムに) で選び、
+// 試行回数の上限 (trials) まで learnTransferModel で学習する
+// 各試行のモデルはアクティブにしないバージョンとして保存し、リーダーボードからアクティブにできる
+// 探索の記録は projects/<プロジェクト名>/model/searches/<探索ID>.json に試行ごとに書き足す
+
+const SEARCH_PARAMS = ['learningRate', 'hiddenUnits', 'dropout', 'epochs'];
+const SEARCH_MODES = ['grid', 'random'];
+const MAX_TRIALS = 100;
+const SEARCH_ID_PATTERN = /^[\w-]+$/;
+
+// 探索設定の既定値
+const DEFAULT_SEARCH = {
+  mode: 'random',
+  trials: 10,
+  space: {
+    learningRate: [0.0001, 0.001, 0.01],
+    hiddenUnits: [32, 64, 128],
+    dropout: [0, 0.2, 0.5],
+    epochs: [50, 100],
+  },
+};
+
+// 探索記録のディレクトリのパスを返す関数
+function searchesDirOf(projectDir) {
+  return path.join(projectDir, 'model', 'searches');
+}
+
+// 探索記録のパスを返す関数 (不正な ID は例外を投げる)
+function searchPathOf(projectDir, searchId) {
+  if (!SEARCH_ID_PATTERN.test(searchId)) {
+    throw new Error(`不正な探索IDです: ${searchId}`);
+  }
+  return path.join(searchesDirOf(projectDir), `${searchId}.json`);
+}
+
+// 探索設定を検証して正規化する関数 (候補値はそれぞれ baseOptions と合わせた学習設定として検証し、不正な値は例外を投げる)
+function normalizeSearch(search = {}, baseOptions = {}) {
+  const mode = String(search.mode || DEFAULT_SEARCH.mode).toLowerCase();
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${SEARCH_MODES.join(', ')}`);
+  }
+  const trials = Number(search.trials === undefined || search.trials === null || search.trials === '' ? DEFAULT_SEARCH.trials : search.trials);
+  if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS) {
+    throw new Error(`trials must be an integer between 1 and ${MAX_TRIALS}`);
+  }
+
+  const space = {};
+  for (const param of SEARCH_PARAMS) {
+    const values = (search.space && search.space[param]) || DEFAULT_SEARCH.space[param];
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`${param} needs at least one candidate value`);
+    }
+    // 重複を除き、学習設定として使える値か確認する
+    space[param] = [...new Set(values.map(Number))];
+    space[param].forEach(value => normalizeTrainOptions({ ...baseOptions, [param]: value }));
+  }
+  return { mode, trials, space };
+}
+
+// 試行ごとのパラメータの組み合わせを最大 trials 件作成する関数 (random は探索のシードから作った乱数)
+function buildTrials(search, random) {
+  let combinations = [{}];
+  for (const param of SEARCH_PARAMS) {
+    combinations = combinations.flatMap(combination => search.space[param].map(value => ({ ...combination, [param]: value })));
+  }
+  if (search.mode === 'random') {
+    // 探索のシードでシャッフルして重複なく選ぶ (同じシードなら同じ試行になる)
+    shuffleInPlace(combinations, random);
+  }
+  return combinations.slice(0, search.trials);
+}
+
+// 探索記録を保存する関数
+async function writeSearch(projectDir, record) {
+  await fs.outputJson(searchPathOf(projectDir, record.id), record, { spaces: 2 });
+}
+
+// ハイパーパラメータ探索を実行して最良の試行を返す関数 (searchId はジョブID、signal と reporter は trainingJobs から渡される)
+async function runHyperparameterSearch(projectDir, searchId, options, { signal, reporter }) {
+  const { search: searchOptions, ...trainOptions } = options;
+  // シードが指定されていなければここで決め、試行の選び方とすべての試行の学習に使う
+  const baseOptions = { ...trainOptions, seed: normalizeTrainOptions(trainOptions).seed };
+  const search = normalizeSearch(searchOptions, baseOptions);
+  const trials = buildTrials(search, createRandom(baseOptions.seed));
+  const record = {
+    id: searchId,
+    createdAt: new Date().toISOString(),
+    status: 'running',
+    mode: search.mode,
+    space: search.space,
+    options: baseOptions,
+    trials: trials.map((params, index) => ({ trial: index + 1, params, status: 'queued', version: null, final: null, stopping: null, error: null })),
+  };
+  await writeSearch(projectDir, record);
+
+  // 読み込めずに除外した画像 (どの試行も同じ画像を使うため、最後の試行のもの)
+  let skipped = [];
+  for (const trial of record.trials) {
+    // 進捗表示に何番目の試行かを加える
+    const trialReporter = {
+      emit: (event, data) => reporter.emit(event, event === 'updateProgress' ? { ...data, trial: trial.trial, trials: trials.length } : data),
+    };
+    Object.assign(trial, { status: 'running' });
+    await writeSearch(projectDir, record);
+    reporter.emit('searchTrial', { searchId, trial: trial.trial, trials: trials.length, status: trial.status });
+    try {
+      const [transferModel, , summary] = await learnTransferModel(
+        path.join(projectDir, 'training-data'), trialReporter, { ...baseOptions, ...trial.params }, signal,
+        { activate: false, search: { id: searchId, trial: trial.trial } }
+      );
+      transferModel.dispose();
+      skipped = summary.skipped;
+      Object.assign(trial, { status: 'done', version: summary.version, final: summary.final, stopping: summary.stopping });
+    } catch (error) {
+      // 中止・失敗した場合は残りの試行を行わない
+      const cancelled = error.name === 'TrainingCancelled';
+      Object.assign(trial, { status: cancelled ? 'cancelled' : 'failed', error: cancelled ? null : error.message });
+      record.status = trial.status;
+      await writeSearch(projectDir, record);
+      reporter.emit('searchTrial', { searchId, trial: trial.trial, trials: trials.length, status: trial.status });
+      throw error;
+    }
+    await writeSearch(projectDir, record);
+    reporter.emit('searchTrial', { searchId, trial: trial.trial, trials: trials.length, status: trial.status, version: trial.version, final: trial.final });
+  }
+
+  record.status = 'done';
+  await writeSearch(projectDir, record);
+  // 検証精度 (無ければ学習精度) が最も高い試行
+  const score = trial => (trial.final ? (typeof trial.final.valAcc === 'number' ? trial.final.valAcc : trial.final.acc) : null);
+  const best = record.trials.reduce((top, trial) => (top === null || score(trial) > score(top) ? trial : top), null);
+  return { searchId, trials: record.trials.length, best: { trial: best.trial, params: best.params, version: best.version, final: best.final }, skipped };
+}
+
+// 探索記録の一覧を取得する関数 (新しい順)
+// 各試行には、モデルがまだ残っていてアクティブにできるか (available) を加える
+async function listSearches(projectDir) {
+  const searchesDir = searchesDirOf(projectDir);
+  if (!(await fs.pathExists(searchesDir))) {
+    return [];
+  }
+  const files = (await fs.readdir(searchesDir)).filter(file => file.endsWith('.json'));
+  const searches = await Promise.all(files.map(async (file) => {
+    const record = await fs.readJson(path.join(searchesDir, file));
+    const trials = await Promise.all(record.trials.map(async trial => ({
+      ...trial,
+      available: Boolean(trial.version) && (await fs.pathExists(path.join(projectDir, 'model', 'versions', trial.version, 'model.json'))),
+    })));
+    return { ...record, trials };
+  }));
+  searches.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  return searches;
+}
+
+module.exports = {
+  DEFAULT_SEARCH,
+  normalizeSearch,
+  runHyperparameterSearch,
+  listSearches,
+};
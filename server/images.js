@@ -0,0 +1,118 @@
+const tf = require('@tensorflow/tfjs-node')
+const fs = require('fs')
+const path = require('path')
+const sharp = require('sharp')
+const {glob} = require('glob')
+
+// Image decoding shared by training, verification and the image API, so the model is trained on exactly what the user sees.
+// Photos are turned upright by their EXIF orientation, animated GIF and WebP files use their first frame,
+// and transparent pixels are flattened onto a background color (a project setting, saved with each model).
+// sharp decodes everything except BMP, which libvips cannot read; BMP files go through tfjs-node instead.
+
+// Extensions are matched case-insensitively (photo.JPG, scan.Png)
+const IMAGE_EXTENSIONS = ['png', 'jpeg', 'jpg', 'bmp', 'gif', 'webp']
+
+const DEFAULT_BACKGROUND = '#ffffff'
+
+// Background colors are stored as #rrggbb
+function normalizeBackground(background=DEFAULT_BACKGROUND) {
+  const color = String(background).trim().toLowerCase()
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(color)
+  if (short) {
+    return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`
+  }
+  if (!/^#[0-9a-f]{6}$/.test(color)) {
+    throw new Error(`background must be a color like #ffffff, got ${background}`)
+  }
+  return color
+}
+
+function isImageFile(filePath) {
+  return IMAGE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase())
+}
+
+// Image files in dirPath (or in its subfolders), sorted so the result does not depend on directory order
+async function findImages(dirPath, subfolders=false) {
+  const pattern = `${subfolders ? '*/' : ''}*.@(${IMAGE_EXTENSIONS.join('|')})`
+  const found = await glob(pattern, {cwd: dirPath, nocase: true, nodir: true})
+  return found.map(file => path.join(dirPath, file)).sort()
+}
+
+// Files that cannot be read as images (missing, truncated, not an image at all) fail with this error.
+// Training and verification skip such files and report them instead of failing the whole run.
+function unreadableImageError(cause) {
+  const error = new Error(cause.message)
+  error.name = 'UnreadableImage'
+  return error
+}
+
+function isBmp(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x42 && buffer[1] === 0x4d
+}
+
+// BMP files have no EXIF data; 32-bit ones are flattened here the same way sharp flattens the other formats
+function decodeBmp(buffer, background) {
+  return tf.tidy(() => {
+    let image = tf.node.decodeImage(buffer, 0)
+    if (image.shape[2] === 1) {
+      image = image.tile([1, 1, 3])
+    } else if (image.shape[2] === 4) {
+      const rgb = [1, 3, 5].map(offset => parseInt(background.slice(offset, offset + 2), 16))
+      const alpha = image.slice([0, 0, 3], [-1, -1, 1]).toFloat().div(255)
+      image = image.slice([0, 0, 0], [-1, -1, 3]).toFloat().mul(alpha)
+        .add(tf.tensor1d(rgb).mul(tf.scalar(1).sub(alpha))).round()
+    }
+    return image.toInt()
+  })
+}
+
+// Decoded RGB pixels of an image file: {data (Uint8Array, row-major RGB), width, height}
+async function decodeImageFile(filePath, background=DEFAULT_BACKGROUND) {
+  try {
+    return await decodePixels(await fs.promises.readFile(filePath), background)
+  } catch (error) {
+    throw unreadableImageError(error)
+  }
+}
+
+async function decodePixels(buffer, background) {
+  if (isBmp(buffer)) {
+    const image = decodeBmp(buffer, background)
+    const [height, width] = image.shape
+    const data = Uint8Array.from(await image.data())
+    image.dispose()
+    return {data: data, width: width, height: height}
+  }
+  const {data, info} = await sharp(buffer, {pages: 1})
+    .rotate()
+    .flatten({background: background})
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({resolveWithObject: true})
+  return {data: new Uint8Array(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height}
+}
+
+// int32 tensor [height, width, 3] with values 0-255, like tf.node.decodeImage(buffer, 3)
+async function imageFileToTensor(filePath, background=DEFAULT_BACKGROUND) {
+  const {data, width, height} = await decodeImageFile(filePath, background)
+  return tf.tensor3d(Int32Array.from(data), [height, width, 3], 'int32')
+}
+
+// JPEG of the decoded image, for showing it in the browser exactly as the model sees it
+async function imageFileToJpeg(filePath, background=DEFAULT_BACKGROUND) {
+  const {data, width, height} = await decodeImageFile(filePath, background)
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {raw: {width: width, height: height, channels: 3}})
+    .jpeg({quality: 90})
+    .toBuffer()
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  DEFAULT_BACKGROUND,
+  normalizeBackground,
+  isImageFile,
+  findImages,
+  decodeImageFile,
+  imageFileToTensor,
+  imageFileToJpeg,
+}
@@ -0,0 +1,65 @@
+// 特徴抽出モデルを共有の models/ ディレクトリに取り込む一回限りのコマンド
+//
+//   npm run import-feature-model                                   既定のバックボーンと最適化のプリセットが使うバックボーンを
+//                                                                  配布元 (config/featureModel.js の remoteUrl) からダウンロード
+//   npm run import-feature-model -- <dir|url>                      ダウンロード済みのモデルディレクトリ、または別の URL から取り込む
+//   npm run import-feature-model -- --backbone <id> [<dir|url>]    既定以外のバックボーンを取り込む
+//   npm run import-feature-model -- [--backbone <id>] --layers <dir|url>
+//       ファインチューニング用の layers model を取り込む (Keras の MobileNet を include_top=False, pooling='avg' で
+//       作成し、tensorflowjs_converter --input_format keras で変換したもの)
+//
+// オフライン環境では、ネットに繋がる PC でこのコマンドを実行し、できた models/ をコピーする。
+const tf = require('@tensorflow/tfjs-node')
+const fs = require('fs-extra')
+const path = require('path')
+const {DEFAULT_BACKBONE, getBackbone} = require('./backbones')
+const {OPTIMIZATION_PRESETS} = require('./globalSettings')
+
+async function importFeatureModel(backboneId, source, layers) {
+  const backbone = getBackbone(backboneId)
+  const localDir = layers ? backbone.layersDir : backbone.localDir
+  const remoteUrl = layers ? null : backbone.remoteUrl
+
+  if (source && fs.existsSync(source)) {
+    // ローカルのディレクトリ (model.json と重みファイル) をそのままコピー
+    const sourceDir = fs.lstatSync(source).isDirectory() ? source : path.dirname(source)
+    if (!fs.existsSync(path.join(sourceDir, 'model.json'))) {
+      throw new Error(`model.json が見つかりません: ${sourceDir}`)
+    }
+    console.log('モデルをコピーしています:', sourceDir)
+    await fs.emptyDir(localDir)
+    await fs.copy(sourceDir, localDir)
+  } else {
+    const url = source || remoteUrl
+    if (!url) {
+      throw new Error('layers model の取り込み元 (ディレクトリまたは model.json の URL) を指定してください')
+    }
+    console.log('モデルをダウンロードしています:', url)
+    const model = layers ? await tf.loadLayersModel(url) : await tf.loadGraphModel(url, {fromTFHub: !url.endsWith('.json')})
+    await fs.emptyDir(localDir)
+    await model.save('file://'+localDir)
+  }
+  console.log('特徴抽出モデルを保存しました:', localDir)
+}
+
+// 引数: [--backbone <id>] [--layers] [<dir|url>]
+const args = process.argv.slice(2)
+const backboneIndex = args.indexOf('--backbone')
+const backboneId = backboneIndex >= 0 ? args.splice(backboneIndex, 2)[1] : undefined
+const layersIndex = args.indexOf('--layers')
+const layers = layersIndex >= 0 && args.splice(layersIndex, 1).length > 0
+
+// 引数が無い場合は、新しいプロジェクトがオフラインでも学習できるようプリセットのバックボーンもまとめて取り込む
+const backboneIds = backboneId || args[0] || layers
+  ? [backboneId]
+  : [...new Set([DEFAULT_BACKBONE, ...Object.values(OPTIMIZATION_PRESETS).map(preset => preset.backbone)])]
+
+;(async () => {
+  for (const id of backboneIds) {
+    await importFeatureModel(id, args[0], layers)
+  }
+})()
+  .catch(err => {
+    console.error('特徴抽出モデルの取り込みに失敗しました:', err)
+    process.exitCode = 1
+  })
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// プロジェクトのラベルの登録簿 (projects/<プロジェクト名>/labels.json)
+//   { "nextId": 4, "labels": [{ "id": 1, "name": "cat", "displayName": "ねこ" }, ...] }
+// name はフォルダ名・マニフェスト・矩形の記録で使うラベル名、displayName は画面に表示する名前
+// 配列の順番がラベルの順番で、学習したモデルの出力もこの順番に並ぶ (フォルダを見つけた順番には依存しない)
+// ID は登録した時 (ラベルの作成・学習の成功・画面からの変更) に振り、ラベルを削除しても再利用しない
+// モデルには出力ごとのラベル ID を記録し、検証の前に登録簿と照合する
+
+const LABELS_FILE = 'labels.json';
+
+// ラベル名を検証する関数 (フォルダ名としても使うため / と \ は不可)
+function normalizeLabelName(name) {
+  const normalized = String(name).trim();
+  if (normalized === '' || /[\\/]/.test(normalized)) {
+    throw new Error(`不正なラベル名です: ${name}`);
+  }
+  return normalized;
+}
+
+// 登録簿全体を検証して正規化する関数 (ID と名前の重複は例外を投げる)
+function normalizeRegistry(registry = {}) {
+  const labels = ((registry && registry.labels) || []).map(label => {
+    const id = Number(label.id);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new Error(`不正なラベル ID です: ${label.id}`);
+    }
+    const name = normalizeLabelName(label.name);
+    const displayName = String(label.displayName === undefined || label.displayName === null ? '' : label.displayName).trim();
+    return { id, name, displayName: displayName || name };
+  });
+  ['id', 'name'].forEach(key => {
+    const values = labels.map(label => label[key]);
+    const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(`ラベルの ${key} が重複しています: ${duplicate}`);
+    }
+  });
+  // 削除したラベルの ID も再利用しないよう、次の ID は記録した値と使用中の最大値の大きい方
+  const nextId = Math.max(Number(registry && registry.nextId) || 1, ...labels.map(label => label.id + 1));
+  return { nextId, labels };
+}
+
+// 登録簿を読み込む関数 (ファイルが無い場合は空)
+async function readLabelRegistry(projectDir) {
+  const registryPath = path.join(projectDir, LABELS_FILE);
+  if (!(await fs.pathExists(registryPath))) {
+    return { nextId: 1, labels: [] };
+  }
+  return normalizeRegistry(await fs.readJson(registryPath));
+}
+
+// 登録簿を保存する関数
+async function writeLabelRegistry(projectDir, registry) {
+  const normalized = normalizeRegistry(registry);
+  await fs.writeJson(path.join(projectDir, LABELS_FILE), normalized, { spaces: 2 });
+  return normalized;
+}
+
+// 登録簿に無いラベルを末尾に追加する関数 (既に登録されているラベルの ID・順番は変えない)
+async function registerLabels(projectDir, names) {
+  const registry = await readLabelRegistry(projectDir);
+  const added = [...new Set(names.map(normalizeLabelName))].filter(name => !registry.labels.some(label => label.name === name));
+  if (added.length === 0) {
+    return registry;
+  }
+  added.forEach(name => {
+    registry.labels.push({ id: registry.nextId, name, displayName: name });
+    registry.nextId += 1;
+  });
+  return writeLabelRegistry(projectDir, registry);
+}
+
+// ラベルを登録簿から取り除く関数 (ラベルのフォルダを削除した時に呼ぶ)
+async function removeLabel(projectDir, name) {
+  const registry = await readLabelRegistry(projectDir);
+  const labels = registry.labels.filter(label => label.name !== name);
+  if (labels.length === registry.labels.length) {
+    return registry;
+  }
+  return writeLabelRegistry(projectDir, { ...registry, labels });
+}
+
+// ラベルの順番と表示名を変更する関数
+// changes は新しい順番に並べた全ラベル [{ id, name, displayName }] (表示名を省略したラベルはそのまま)
+// id が null のラベルは登録簿にまだ無いラベルで、ここで ID を振って登録する
+async function updateLabels(projectDir, changes) {
+  const registry = await readLabelRegistry(projectDir);
+  if (!Array.isArray(changes)) {
+    throw new Error('labels は配列で指定してください');
+  }
+  const isNew = change => change.id === null || change.id === undefined;
+  const ids = changes.filter(change => !isNew(change)).map(change => Number(change.id));
+  if (ids.length !== registry.labels.length || registry.labels.some(label => !ids.includes(label.id))) {
+    throw new Error('登録されている全てのラベルの ID を 1 回ずつ指定してください');
+  }
+  let nextId = registry.nextId;
+  const labels = changes.map(change => {
+    if (isNew(change)) {
+      const label = { id: nextId, name: normalizeLabelName(change.name), displayName: change.displayName };
+      nextId += 1;
+      return label;
+    }
+    const label = registry.labels.find(entry => entry.id === Number(change.id));
+    return { ...label, displayName: change.displayName === undefined ? label.displayName : change.displayName };
+  });
+  return writeLabelRegistry(projectDir, { nextId, labels });
+}
+
+// 登録簿の順番に並べたラベル名 (登録簿に無いラベルは名前順で末尾。学習が成功した時にこの順番で登録される)
+function orderLabels(registry, names) {
+  const registered = registry.labels.map(label => label.name).filter(name => names.includes(name));
+  const unregistered = [...new Set(names)].filter(name => !registered.includes(name)).sort();
+  return [...registered, ...unregistered];
+}
+
+// 登録簿に、まだ登録されていないラベルを末尾に加えて返す関数 (保存はしないので、加えたラベルの id は null)
+function withUnregisteredLabels(registry, names) {
+  const unregistered = orderLabels(registry, names).filter(name => !registry.labels.some(label => label.name === name));
+  return { ...registry, labels: [...registry.labels, ...unregistered.map(name => ({ id: null, name, displayName: name }))] };
+}
+
+// ラベル名に対応する ID (モデルの出力ごとに記録する)
+function labelIdsOf(registry, names) {
+  return names.map(name => registry.labels.find(label => label.name === name).id);
+}
+
+// モデルの出力ごとのラベル [{ id, name, displayName }] を登録簿と照合して返す関数 (classes は classes.json、labelIds は training.json)
+// ID を記録したモデルは ID で照合し、登録簿から削除されたラベルや ID と名前が食い違うラベルがあれば例外を投げる
+// 登録簿ができる前に学習したモデルは名前で照合する (まだ登録されていないラベルの id は null。検証では登録しない)
+async function resolveModelLabels(projectDir, classes, labelIds = null) {
+  if (labelIds && labelIds.length !== classes.length) {
+    throw new Error(`モデルのラベル ID (${labelIds.length} 個) とラベル (${classes.length} 個) の数が一致しません`);
+  }
+  const registry = await readLabelRegistry(projectDir);
+  return classes.map((name, index) => {
+    const label = labelIds
+      ? registry.labels.find(entry => entry.id === labelIds[index])
+      : withUnregisteredLabels(registry, classes).labels.find(entry => entry.name === name);
+    if (!label) {
+      throw new Error(`モデルのラベル "${name}"${labelIds ? ` (ID ${labelIds[index]})` : ''} がラベルの登録簿にありません。ラベルを削除した場合はモデルを学習し直してください`);
+    }
+    if (label.name !== name) {
+      throw new Error(`ラベル ID ${label.id} はモデルでは "${name}"、登録簿では "${label.name}" です。モデルを学習し直してください`);
+    }
+    return { id: label.id, name: label.name, displayName: label.displayName };
+  });
+}
+
+module.exports = {
+  readLabelRegistry,
+  registerLabels,
+  removeLabel,
+  updateLabels,
+  orderLabels,
+  withUnregisteredLabels,
+  labelIdsOf,
+  resolveModelLabels,
+};
@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// マルチラベルのプロジェクトで画像ごとのラベルを記録するマニフェスト (projects/<プロジェクト名>/manifest.json)
+//   { "images": { "<ラベルフォルダ>/<ファイル名>": ["ラベル", ...] } }
+// 画像のパスは training-data からの相対パス
+// マニフェストに無い画像は、置かれているフォルダ名だけをラベルとする
+// ラベルを空の配列にした画像は、どのラベルにも当てはまらない例として学習に使う
+
+const MANIFEST_FILE = 'manifest.json';
+
+// 画像のパスを検証して "<フォルダ>/<ファイル名>" の形に揃える関数 (不正なパスは例外を投げる)
+function normalizeImagePath(imagePath) {
+  const normalized = path.posix.normalize(String(imagePath).replace(/\\/g, '/'));
+  const parts = normalized.split('/');
+  if (parts.length !== 2 || parts.some(part => part === '' || part === '.' || part === '..')) {
+    throw new Error(`不正な画像のパスです: ${imagePath}`);
+  }
+  return normalized;
+}
+
+// ラベルの配列を検証して正規化する関数 (前後の空白を除き、重複を取り除く)
+function normalizeLabels(labels) {
+  if (!Array.isArray(labels)) {
+    throw new Error('labels は配列で指定してください');
+  }
+  const normalized = labels.map(label => String(label).trim()).filter(label => label !== '');
+  normalized.forEach(label => {
+    if (/[\\/]/.test(label)) {
+      throw new Error(`ラベル名に / や \\ は使えません: ${label}`);
+    }
+  });
+  return [...new Set(normalized)];
+}
+
+// マニフェスト全体を検証して正規化する関数
+function normalizeManifest(manifest = {}) {
+  const images = {};
+  for (const [imagePath, labels] of Object.entries((manifest && manifest.images) || {})) {
+    images[normalizeImagePath(imagePath)] = normalizeLabels(labels);
+  }
+  return { images };
+}
+
+// マニフェストを読み込む関数 (ファイルが無い場合は空)
+async function readManifest(projectDir) {
+  const manifestPath = path.join(projectDir, MANIFEST_FILE);
+  if (!(await fs.pathExists(manifestPath))) {
+    return { images: {} };
+  }
+  return normalizeManifest(await fs.readJson(manifestPath));
+}
+
+// マニフェストを保存する関数
+async function writeManifest(projectDir, manifest) {
+  const normalized = normalizeManifest(manifest);
+  await fs.writeJson(path.join(projectDir, MANIFEST_FILE), normalized, { spaces: 2 });
+  return normalized;
+}
+
+// 1 枚の画像のラベルを設定して保存する関数 (labels を null にするとマニフェストから外し、フォルダ名のラベルに戻す)
+async function setImageLabels(projectDir, imagePath, labels) {
+  const manifest = await readManifest(projectDir);
+  const key = normalizeImagePath(imagePath);
+  if (labels === null) {
+    delete manifest.images[key];
+  } else {
+    manifest.images[key] = normalizeLabels(labels);
+  }
+  return writeManifest(projectDir, manifest);
+}
+
+// 画像のラベルを返す関数 (マニフェストに無ければフォルダ名)
+function labelsOfImage(manifest, imagePath) {
+  const key = normalizeImagePath(imagePath);
+  return manifest.images[key] || [key.split('/')[0]];
+}
+
+module.exports = {
+  normalizeImagePath,
+  readManifest,
+  writeManifest,
+  setImageLabels,
+  labelsOfImage,
+};
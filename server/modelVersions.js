@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// 学習結果はバージョンごとに projects/<プロジェクト名>/model/versions/<バージョンID>/ に保存する
+// (model.json, weights.bin, classes.json, training.json)
+// どのバージョンを検証に使うかは model/active.json に記録する
+//   { "version": "<バージョンID>", "history": [以前にアクティブだったバージョンID, ...] }
+
+const VERSION_ID_PATTERN = /^[\w-]+$/;
+const MODEL_FILES = ['model.json', 'weights.bin', 'classes.json', 'training.json'];
+
+// モデルディレクトリのパスを返す関数
+function modelDirOf(projectDir) {
+  return path.join(projectDir, 'model');
+}
+
+// バージョンディレクトリのパスを返す関数 (不正な ID は例外を投げる)
+function versionDirOf(projectDir, versionId) {
+  if (!VERSION_ID_PATTERN.test(versionId)) {
+    throw new Error(`不正なバージョンIDです: ${versionId}`);
+  }
+  return path.join(modelDirOf(projectDir), 'versions', versionId);
+}
+
+// 新しいバージョンID を作成する関数 (時刻順に並ぶ)
+function newVersionId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// active.json を読み込む関数
+async function readActive(projectDir) {
+  const activePath = path.join(modelDirOf(projectDir), 'active.json');
+  if (!(await fs.pathExists(activePath))) {
+    return { version: null, history: [] };
+  }
+  const active = await fs.readJson(activePath);
+  return { version: active.version || null, history: active.history || [] };
+}
+
+// active.json を保存する関数
+async function writeActive(projectDir, active) {
+  await fs.ensureDir(modelDirOf(projectDir));
+  await fs.writeJson(path.join(modelDirOf(projectDir), 'active.json'), active, { spaces: 2 });
+}
+
+// バージョン管理以前の model/ 直下のモデルを 1 つのバージョンとして取り込む関数
+async function migrateLegacyModel(projectDir) {
+  const modelDir = modelDirOf(projectDir);
+  if (!(await fs.pathExists(path.join(modelDir, 'model.json')))) return;
+
+  const versionId = 'legacy';
+  const versionDir = versionDirOf(projectDir, versionId);
+  await fs.ensureDir(versionDir);
+  for (const file of MODEL_FILES) {
+    if (await fs.pathExists(path.join(modelDir, file))) {
+      await fs.move(path.join(modelDir, file), path.join(versionDir, file), { overwrite: true });
+    }
+  }
+  const active = await readActive(projectDir);
+  if (!active.version) {
+    await writeActive(projectDir, { version: versionId, history: active.history });
+  }
+}
+
+// 新しいバージョンディレクトリを作成する関数
+async function createVersion(projectDir) {
+  await migrateLegacyModel(projectDir);
+  const versionId = newVersionId();
+  const versionDir = versionDirOf(projectDir, versionId);
+  await fs.ensureDir(versionDir);
+  return { versionId, versionDir };
+}
+
+// バージョン一覧を取得する関数 (新しい順)
+async function listVersions(projectDir) {
+  await migrateLegacyModel(projectDir);
+  const versionsDir = path.join(modelDirOf(projectDir), 'versions');
+  if (!(await fs.pathExists(versionsDir))) {
+    return { active: null, versions: [] };
+  }
+
+  const active = await readActive(projectDir);
+  const entries = await fs.readdir(versionsDir, { withFileTypes: true });
+  const versions = await Promise.all(
+    entries.filter(entry => entry.isDirectory() && VERSION_ID_PATTERN.test(entry.name)).map(async (entry) => {
+      const versionDir = path.join(versionsDir, entry.name);
+      const trainingPath = path.join(versionDir, 'training.json');
+      const training = (await fs.pathExists(trainingPath)) ? await fs.readJson(trainingPath) : {};
+      const classesPath = path.join(versionDir, 'classes.json');
+      const classes = training.classes || ((await fs.pathExists(classesPath)) ? await fs.readJson(classesPath) : []);
+      return {
+        id: entry.name,
+        active: entry.name === active.version,
+        savedAt: training.savedAt || (await fs.stat(versionDir)).mtime.toISOString(),
+        final: training.final || null,
+        options: training.options || null,
+        backbone: training.backbone ? training.backbone.id : null,
+        classes,
+        datasetSize: training.datasetSize || null,
+        search: training.search || null, // ハイパーパラメータ探索の試行で保存されたもの { id, trial }
+        warmStart: training.warmStart || null, // アクティブなモデルの続きから学習したもの { version, keptClasses, newClasses, removedClasses }
+      };
+    })
+  );
+  versions.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+  return { active: active.version, versions };
+}
+
+// バージョンの学習記録 (training.json: 設定・エポックごとの履歴など) を読み込む関数
+async function readVersionTraining(projectDir, versionId) {
+  const trainingPath = path.join(versionDirOf(projectDir, versionId), 'training.json');
+  if (!(await fs.pathExists(trainingPath))) {
+    throw new Error(`学習記録が見つかりません: ${versionId}`);
+  }
+  return fs.readJson(trainingPath);
+}
+
+// 検証に使うバージョンのディレクトリを返す関数 (無ければ null)
+async function getActiveVersionDir(projectDir) {
+  await migrateLegacyModel(projectDir);
+  const active = await readActive(projectDir);
+  if (!active.version) return null;
+  const versionDir = versionDirOf(projectDir, active.version);
+  return (await fs.pathExists(versionDir)) ? versionDir : null;
+}
+
+// 指定したバージョンをアクティブにする関数
+async function activateVersion(projectDir, versionId) {
+  const versionDir = versionDirOf(projectDir, versionId);
+  if (!(await fs.pathExists(path.join(versionDir, 'model.json')))) {
+    throw new Error(`バージョンが見つかりません: ${versionId}`);
+  }
+  const active = await readActive(projectDir);
+  if (active.version === versionId) return;
+  const history = active.version ? [...active.history, active.version] : active.history;
+  await writeActive(projectDir, { version: versionId, history: history.filter(id => id !== versionId) });
+}
+
+// 直前にアクティブだったバージョンに戻す関数 (戻したバージョンID を返す)
+async function rollbackVersion(projectDir) {
+  const active = await readActive(projectDir);
+  const history = [...active.history];
+  while (history.length > 0) {
+    const previous = history.pop();
+    if (await fs.pathExists(path.join(versionDirOf(projectDir, previous), 'model.json'))) {
+      await writeActive(projectDir, { version: previous, history });
+      return previous;
+    }
+  }
+  throw new Error('戻せる以前のバージョンがありません');
+}
+
+// 指定したバージョンを削除する関数 (アクティブなバージョンは削除できない)
+async function deleteVersion(projectDir, versionId) {
+  const versionDir = versionDirOf(projectDir, versionId);
+  if (!(await fs.pathExists(versionDir))) {
+    throw new Error(`バージョンが見つかりません: ${versionId}`);
+  }
+  const active = await readActive(projectDir);
+  if (active.version === versionId) {
+    throw new Error('アクティブなバージョンは削除できません。先に別のバージョンをアクティブにしてください');
+  }
+  await fs.remove(versionDir);
+  await writeActive(projectDir, { version: active.version, history: active.history.filter(id => id !== versionId) });
+}
+
+module.exports = {
+  createVersion,
+  listVersions,
+  readVersionTraining,
+  getActiveVersionDir,
+  activateVersion,
+  rollbackVersion,
+  deleteVersion,
+};
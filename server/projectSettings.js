@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DEFAULT_AUGMENTATION, normalizeAugmentation } = require('./augmentation');
+const { DEFAULT_BACKBONE, getBackbone } = require('./backbones');
+const { PROJECT_PRESETS } = require('./globalSettings');
+const { DEFAULT_BACKGROUND, normalizeBackground } = require('./images');
+
+// プロジェクトごとの設定ファイル (projects/<プロジェクト名>/settings.json)
+const SETTINGS_FILE = 'settings.json';
+
+// single: 1 枚に 1 ラベル (ラベルごとのフォルダ) / multi: 1 枚に複数ラベル (manifest.json)
+// detection: 画像内の物体の位置 (annotations.json の矩形)
+const PROJECT_MODES = ['single', 'multi', 'detection'];
+
+// 設定の既定値を返す関数
+function defaultProjectSettings() {
+  return {
+    augmentation: { ...DEFAULT_AUGMENTATION },
+    backbone: DEFAULT_BACKBONE, // 特徴抽出モデル (config/featureModel.js の backbones の ID)
+    mode: 'single',
+    thresholds: {}, // マルチラベルの検証でラベルごとに使う閾値 (指定の無いラベルは学習時に決めた値)
+    // 最適化のプリセット (global: 全体の設定に従う / speed / accuracy / custom: プリセットを使わない)
+    // プリセットができる前のプロジェクトはバックボーンが変わらないよう custom (新しいプロジェクトは作成時に global を保存する)
+    preset: 'custom',
+    background: DEFAULT_BACKGROUND, // 透過画像の透明な部分を塗る色 (学習・検証・画像表示で共通)
+  };
+}
+
+// ラベルごとの閾値を検証する関数 (0 より大きく 1 未満)
+function normalizeThresholds(thresholds = {}) {
+  const normalized = {};
+  for (const [label, value] of Object.entries(thresholds || {})) {
+    const threshold = Number(value);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+      throw new Error(`thresholds.${label} must be greater than 0 and less than 1`);
+    }
+    normalized[label] = threshold;
+  }
+  return normalized;
+}
+
+// プロジェクトのモードを検証する関数
+function normalizeMode(mode) {
+  if (!PROJECT_MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${PROJECT_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// プリセットを検証する関数
+function normalizePreset(preset) {
+  if (!PROJECT_PRESETS.includes(preset)) {
+    throw new Error(`preset must be one of ${PROJECT_PRESETS.join(', ')}`);
+  }
+  return preset;
+}
+
+// 設定値を検証して正規化する関数 (不正な値は例外を投げる)
+function normalizeProjectSettings(settings = {}) {
+  return {
+    ...defaultProjectSettings(),
+    ...settings,
+    augmentation: normalizeAugmentation(settings.augmentation),
+    backbone: getBackbone(settings.backbone || DEFAULT_BACKBONE).id,
+    mode: normalizeMode(settings.mode || 'single'),
+    thresholds: normalizeThresholds(settings.thresholds),
+    preset: normalizePreset(settings.preset || 'custom'),
+    background: normalizeBackground(settings.background || DEFAULT_BACKGROUND),
+  };
+}
+
+// プロジェクト設定を読み込む関数 (ファイルが無い場合は既定値)
+async function readProjectSettings(projectDir) {
+  const settingsPath = path.join(projectDir, SETTINGS_FILE);
+  if (!(await fs.pathExists(settingsPath))) {
+    return defaultProjectSettings();
+  }
+  return normalizeProjectSettings(await fs.readJson(settingsPath));
+}
+
+// プロジェクト設定を保存する関数 (既存の設定に上書きマージする)
+async function writeProjectSettings(projectDir, changes) {
+  const current = await readProjectSettings(projectDir);
+  const settings = normalizeProjectSettings({ ...current, ...changes });
+  await fs.writeJson(path.join(projectDir, SETTINGS_FILE), settings, { spaces: 2 });
+  return settings;
+}
+
+module.exports = {
+  readProjectSettings,
+  writeProjectSettings,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto')
+
+// Seeded pseudo-random numbers for reproducible training runs.
+// Math.random cannot be seeded, so everything a run shuffles, samples or initializes draws from one of these instead.
+
+const MAX_SEED = 0xffffffff
+
+// A fresh seed for runs that were not given one
+function randomSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0)
+}
+
+// mulberry32: a small 32-bit generator returning floats in [0, 1) like Math.random
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// An integer seed drawn from a generator, for the tfjs initializers and ops that take their own seed
+function nextSeed(random) {
+  return Math.floor(random() * MAX_SEED)
+}
+
+// Fisher-Yates shuffle in place; returns the array
+function shuffleInPlace(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const temp = array[i]
+    array[i] = array[j]
+    array[j] = temp
+  }
+  return array
+}
+
+module.exports = {
+  MAX_SEED,
+  randomSeed,
+  createRandom,
+  nextSeed,
+  shuffleInPlace,
+}
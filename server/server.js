@@ -11,10 +11,138 @@ const http = require('http'); // http モジュールを require
 const server = http.createServer(app); // HTTP サーバーを作成
 const io = require('socket.io')(server); // Socket.IO を初期化
 
-const { learnTransferModel, validateImages } = require('./TFhelper'); // TFhelper.js から関数をインポート
+const { learnTransferModel, crossValidate, validateImages, loadFeatureModel, DEFAULT_TRAIN_OPTIONS } = require('./TFhelper'); // TFhelper.js から関数をインポート
+const { readProjectSettings, writeProjectSettings } = require('./projectSettings'); // プロジェクト設定
+const { OPTIMIZATION_PRESETS, readGlobalSettings, writeGlobalSettings, applyPreset } = require('./globalSettings'); // 全体の設定と最適化のプリセット
+const { listBackbones } = require('./backbones'); // 特徴抽出モデルの一覧
+const { readManifest, setImageLabels } = require('./manifest'); // マルチラベルの画像ごとのラベル
+const { readAnnotations, setImageBoxes } = require('./annotations'); // 物体検出の画像ごとの矩形
+const { readLabelRegistry, registerLabels, removeLabel, updateLabels, orderLabels, withUnregisteredLabels } = require('./labels'); // ラベルの登録簿 (ID・表示名・順番)
+const { DEFAULT_BACKGROUND, isImageFile, imageFileToJpeg } = require('./images'); // 画像のデコード (EXIF の向き・透過の背景色)
+const { listVersions, readVersionTraining, activateVersion, rollbackVersion, deleteVersion } = require('./modelVersions'); // モデルのバージョン管理
+const { DEFAULT_SEARCH, normalizeSearch, runHyperparameterSearch, listSearches } = require('./hyperparameterSearch'); // ハイパーパラメータ探索
+const { jobEvents, initJobs, enqueueJob, cancelJob, getJob, getActiveJob, listJobs, getJobProgress } = require('./trainingJobs'); // 学習ジョブの待機列
 
 const rootDir = path.join(__dirname,'../');
 
+// Socket.IO のイベントの結果を返す関数を作成する関数
+// ack (callback) があればそれで返し ({ ok, ...payload })、無ければ従来どおり結果のイベントを送る
+function socketReply(socket, callback, successEvent) {
+  return (event, payload) => {
+    if (typeof callback === 'function') {
+      return callback({ ok: event === successEvent, ...payload });
+    }
+    return socket.emit(event, payload);
+  };
+}
+
+// プロジェクトごとの Socket.IO ルーム名 (学習の進捗はプロジェクトを開いている全クライアントに送る)
+function projectRoom(projectName) {
+  return `project:${projectName}`;
+}
+
+// プリセットを反映したプロジェクト設定を読み込む関数
+async function readEffectiveProjectSettings(projectName) {
+  const projectSettings = await readProjectSettings(path.join(rootDir, 'projects', projectName));
+  return { projectSettings, effective: applyPreset(await readGlobalSettings(rootDir), projectSettings) };
+}
+
+// ジョブに渡す学習設定を作成する関数
+// データ拡張・バックボーン (プリセットを反映したもの)・プロジェクトの形式 (シングル / マルチラベル / 物体検出)・透過画像の背景色は追加時点のプロジェクト設定を適用する
+// プリセットの学習設定 (エポック数・Early stopping など) はフォームの初期値にも使うが、フォームを通らないジョブにも適用するためここでも下敷きにする
+async function projectTrainOptions(projectName, options) {
+  const { projectSettings, effective } = await readEffectiveProjectSettings(projectName);
+  return {
+    ...effective.trainOptions,
+    ...(options || {}),
+    augmentation: effective.augmentation,
+    backbone: effective.backbone,
+    multiLabel: projectSettings.mode === 'multi',
+    detection: projectSettings.mode === 'detection',
+    background: projectSettings.background,
+  };
+}
+
+// 学習ジョブを実行する関数 (trainingJobs から 1 件ずつ呼ばれる)
+async function runTrainingJob(job, { signal, reporter }) {
+  const projectPath = path.join(rootDir, 'projects', job.projectName, 'training-data');
+  const [transferModel, , summary] = await learnTransferModel(projectPath, reporter, job.options, signal);
+  transferModel.dispose();
+  return { version: summary.version, final: summary.final, stopping: summary.stopping, skipped: summary.skipped };
+}
+
+// 交差検証ジョブを実行する関数 (モデルは保存せず、結果はジョブの result に残る)
+async function runCrossValidationJob(job, { signal, reporter }) {
+  const projectPath = path.join(rootDir, 'projects', job.projectName, 'training-data');
+  return crossValidate(projectPath, reporter, job.options, signal);
+}
+
+// ハイパーパラメータ探索ジョブを実行する関数 (探索ID にはジョブID を使う)
+async function runSearchJob(job, context) {
+  return runHyperparameterSearch(path.join(rootDir, 'projects', job.projectName), job.id, job.options, context);
+}
+
+// ジョブの種類ごとの実行関数
+const jobRunners = {
+  train: runTrainingJob,
+  crossValidate: runCrossValidationJob,
+  search: runSearchJob,
+};
+
+function runJob(job, context) {
+  const runner = jobRunners[job.type];
+  if (!runner) {
+    throw new Error(`不明なジョブの種類です: ${job.type}`);
+  }
+  return runner(job, context);
+}
+
+// ジョブ一覧の変更を全クライアントに通知する
+jobEvents.on('changed', () => io.emit('trainingJobs', { jobs: listJobs() }));
+
+// 実行中ジョブの進捗をプロジェクトのルームに送る
+jobEvents.on('progress', (job, event, data) => io.to(projectRoom(job.projectName)).emit(event, data));
+
+// ジョブの終了をプロジェクトのルームに送る
+jobEvents.on('finished', (job) => {
+  const room = io.to(projectRoom(job.projectName));
+  if (job.type === 'crossValidate') {
+    // 交差検証はアクティブなモデルを変更しない
+    if (job.status === 'done') {
+      room.emit('crossValidationCompleted', { jobId: job.id, result: job.result });
+    } else if (job.status === 'cancelled') {
+      room.emit('learnCancelled', { jobId: job.id, message: '交差検証を中止しました。' });
+    } else {
+      room.emit('learnError', { jobId: job.id, error: '交差検証に失敗しました。', details: job.error });
+    }
+    return;
+  }
+  if (job.type === 'search') {
+    // 試行ごとのモデルはバージョンとして保存済み (アクティブなモデルは変更しない)
+    if (job.status === 'done') {
+      room.emit('searchCompleted', { jobId: job.id, message: 'ハイパーパラメータ探索が完了しました。', ...job.result });
+    } else if (job.status === 'cancelled') {
+      room.emit('learnCancelled', { jobId: job.id, message: 'ハイパーパラメータ探索を中止しました。完了した試行のモデルは残っています。' });
+    } else {
+      room.emit('learnError', { jobId: job.id, error: 'ハイパーパラメータ探索に失敗しました。', details: job.error });
+    }
+    io.emit('model-versions-changed', { projectName: job.projectName });
+    return;
+  }
+  if (job.status === 'done') {
+    // 学習完了とモデル保存のメッセージを送信 (最終的な検証スコアを含む)
+    room.emit('learnCompleted', { jobId: job.id, message: '学習が完了し、モデルが保存されました。', ...job.result });
+    // モデルのバージョン一覧が変更されたことを通知
+    io.emit('model-versions-changed', { projectName: job.projectName });
+  } else if (job.status === 'cancelled') {
+    // 中止された場合、以前に保存されたモデルはそのまま残る
+    console.log('学習が中止されました:', job.projectName);
+    room.emit('learnCancelled', { jobId: job.id, message: '学習を中止しました。以前のモデルはそのまま残っています。' });
+  } else {
+    room.emit('learnError', { jobId: job.id, error: '学習に失敗しました。', details: job.error });
+  }
+});
+
 // uploadsディレクトリがなければ作成する
 if (!fs.existsSync(rootDir)) {
   fs.mkdirSync(rootDir);
@@ -90,8 +218,10 @@ io.on('connection', (socket) => {
   });
 
    // 画像削除イベント
-   socket.on('deleteImage', async (data) => {
+   // ack (callback) を付けて送られた場合は、結果をイベントではなく ack で返す ({ ok, message | error, details })
+   socket.on('deleteImage', async (data, callback) => {
     const { projectName, imageName, labelName } = data;
+    const reply = socketReply(socket, callback, 'deleteImageSuccess');
 
     // パスチェック
     const filePath = path.join(rootDir, 'projects', projectName,'training-data',labelName, imageName);
@@ -99,17 +229,17 @@ io.on('connection', (socket) => {
     try {
       // ファイルが存在するかチェック
       if (!fs.existsSync(filePath)) {
-        return socket.emit('deleteImageError', { error: 'ファイルが見つかりません' });
+        return reply('deleteImageError', { error: 'ファイルが見つかりません' });
       }
 
       // ファイルを削除
       await fs.unlink(filePath);
 
       // 成功メッセージをクライアントに送信
-      socket.emit('deleteImageSuccess', { message: 'ファイル削除成功' });
+      reply('deleteImageSuccess', { message: 'ファイル削除成功' });
     } catch (err) {
       console.error('ファイル削除エラー:', err);
-      socket.emit('deleteImageError', { error: 'ファイル削除失敗', details: err.message });
+      reply('deleteImageError', { error: 'ファイル削除失敗', details: err.message });
     }
   });
 
@@ -119,6 +249,30 @@ io.on('connection', (socket) => {
     io.emit('image-data-changed'); 
   });
 
+  // 検証用画像の削除イベント (検証で読み込めなかった画像を取り除く)
+  socket.on('deleteVerifyImage', async (data, callback) => {
+    const { projectName, folderName, imageName } = data;
+    const reply = socketReply(socket, callback, 'deleteVerifyImageSuccess');
+
+    const verifyDir = path.join(rootDir, 'projects', projectName, 'verify-data');
+    const filePath = path.join(verifyDir, folderName, imageName);
+    // verify-data の外を指すパスは受け付けない
+    if (folderName === '..' || path.relative(verifyDir, path.dirname(filePath)) !== folderName || path.basename(filePath) !== imageName) {
+      return reply('deleteVerifyImageError', { error: '不正な画像のパスです' });
+    }
+
+    try {
+      if (!fs.existsSync(filePath)) {
+        return reply('deleteVerifyImageError', { error: 'ファイルが見つかりません' });
+      }
+      await fs.unlink(filePath);
+      reply('deleteVerifyImageSuccess', { message: 'ファイル削除成功' });
+    } catch (err) {
+      console.error('ファイル削除エラー:', err);
+      reply('deleteVerifyImageError', { error: 'ファイル削除失敗', details: err.message });
+    }
+  });
+
   // プロジェクト作成イベント
   socket.on('createProject', async (projectName) => {
     const projectDir = path.join(rootDir, 'projects', projectName); // パスを変更
@@ -127,6 +281,7 @@ io.on('connection', (socket) => {
       await fs.mkdir(projectDir);
       await fs.mkdir(path.join(projectDir, 'training-data'));
       await fs.mkdir(path.join(projectDir, 'verify-data'));
+      await writeProjectSettings(projectDir, { preset: 'global' }); // 新しいプロジェクトは全体の設定のプリセットに従う
       socket.emit('createProjectSuccess', { message: 'プロジェクトが作成されました' });
 
       // プロジェクトデータが変更されたことを通知
@@ -152,8 +307,9 @@ io.on('connection', (socket) => {
         return socket.emit('createLabelError', { error: 'ラベル名が既に存在します' });
       }
 
-      // ラベルフォルダを作成
+      // ラベルフォルダを作成し、登録簿の末尾に追加する
       await fs.mkdir(labelDir);
+      await registerLabels(path.join(rootDir, 'projects', projectName), [labelName]);
 
       // 成功メッセージをクライアントに送信
       socket.emit('createLabelSuccess', { message: 'ラベルが作成されました' });
@@ -179,8 +335,9 @@ io.on('connection', (socket) => {
         return socket.emit('deleteLabelError', { error: 'ラベルが見つかりません' });
       }
 
-      // ラベルフォルダを削除
+      // ラベルフォルダを削除し、登録簿からも取り除く (このラベルを含むモデルは検証できなくなる)
       await fs.rm(labelDir, { recursive: true });
+      await removeLabel(path.join(rootDir, 'projects', projectName), labelName);
 
       // 成功メッセージをクライアントに送信
       socket.emit('deleteLabelSuccess', { message: 'ラベルが削除されました' });
@@ -229,29 +386,93 @@ io.on('connection', (socket) => {
   });
 
 
-  // 学習開始イベント
+  // プロジェクトページを開いたクライアントをルームに参加させ、実行中の学習の進捗を再表示する
+  socket.on('joinProject', (data) => {
+    const { projectName } = data;
+    socket.join(projectRoom(projectName));
+    socket.emit('trainingJobs', { jobs: listJobs() });
+
+    const job = getActiveJob(projectName);
+    if (job && job.status === 'running') {
+      getJobProgress(job.id).forEach(([event, progress]) => socket.emit(event, progress));
+    }
+  });
+
+  // 学習開始イベント (ジョブを待機列に追加し、順番が来たら実行する)
   socket.on('yourBeginLearnMsg', async (data) => {
+    const { projectName, options } = data;
 
-    const { projectName } = data;
-    const projectPath = path.join(rootDir, 'projects', projectName, 'training-data');
     try {
-      await learnTransferModel(projectPath, socket); 
-
-      // 学習完了とモデル保存のメッセージをクライアントに送信
-      socket.emit('learnCompleted', { message: '学習が完了し、モデルが保存されました。' });
+      // options: epochs, batchSize, learningRate, optimizer, hiddenUnits, dropout, validationSplit,
+      //          earlyStopping, patience, monitor, classWeighting, fineTune*, seed (TFhelper 側で検証)
+      const trainOptions = await projectTrainOptions(projectName, options);
+      const job = enqueueJob('train', projectName, trainOptions);
+      socket.emit('trainingJobQueued', { job });
     } catch (err) {
-      console.error('学習エラー:', err);
+      console.error('学習ジョブの追加エラー:', err);
       socket.emit('learnError', { error: '学習に失敗しました。', details: err.message });
+      // 開始前の状態に戻せるよう現在のジョブ一覧を送り直す
+      socket.emit('trainingJobs', { jobs: listJobs() });
+    }
+  });
+
+  // 交差検証開始イベント (学習と同じ待機列で実行する)
+  socket.on('startCrossValidation', async (data) => {
+    const { projectName, options } = data;
+
+    try {
+      // options: 学習と同じ設定に folds (分割数) を加えたもの (TFhelper 側で検証)
+      const cvOptions = await projectTrainOptions(projectName, options);
+      const job = enqueueJob('crossValidate', projectName, cvOptions);
+      socket.emit('trainingJobQueued', { job });
+    } catch (err) {
+      console.error('交差検証ジョブの追加エラー:', err);
+      socket.emit('learnError', { error: '交差検証に失敗しました。', details: err.message });
+      socket.emit('trainingJobs', { jobs: listJobs() });
+    }
+  });
+
+  // ハイパーパラメータ探索開始イベント (学習と同じ待機列で実行する)
+  socket.on('startHyperparameterSearch', async (data) => {
+    const { projectName, options, search } = data;
+
+    try {
+      const baseOptions = await projectTrainOptions(projectName, options);
+      // 探索設定は追加時点で検証する (search: mode, trials, space)
+      const job = enqueueJob('search', projectName, { ...baseOptions, search: normalizeSearch(search, baseOptions) });
+      socket.emit('trainingJobQueued', { job });
+    } catch (err) {
+      console.error('ハイパーパラメータ探索ジョブの追加エラー:', err);
+      socket.emit('learnError', { error: 'ハイパーパラメータ探索に失敗しました。', details: err.message });
+      socket.emit('trainingJobs', { jobs: listJobs() });
+    }
+  });
+
+  // 学習中止イベント (待機中のジョブは取り消し、実行中のジョブは現在のエポック終了後に停止する)
+  socket.on('cancelTraining', (data) => {
+    const { projectName, jobId } = data;
+    const job = jobId ? getJob(jobId) : getActiveJob(projectName);
+    try {
+      if (!job || job.projectName !== projectName) {
+        throw new Error('実行中の学習がありません');
+      }
+      cancelJob(job.id);
+    } catch (err) {
+      socket.emit('cancelTrainingError', { error: err.message });
     }
   });
   
   
   // 検証開始イベント
+  // 検証は学習ジョブの待機列を通さず、実行中のジョブと並行して動く
+  // (TFhelper は実行ごとの状態をモジュールに持たず、検証は開始時のアクティブなバージョンだけを読む)
   socket.on('startVerification', async (data) => {
     const { projectName, folderName } = data;
     const verifyPath = path.join(rootDir, 'projects', projectName, 'verify-data', folderName); // 検証用画像フォルダのパス
     try {
-      const result = await validateImages(verifyPath);
+      // マルチラベルのモデルでは、プロジェクト設定のラベルごとの閾値を学習時に決めた閾値より優先する
+      const { thresholds } = await readProjectSettings(path.join(rootDir, 'projects', projectName));
+      const result = await validateImages(verifyPath, thresholds);
       // console.log('検証結果:', result); // コンソール出力は削除
 
       // 検証結果をクライアントに送信
@@ -295,8 +516,10 @@ app.get('/', async (req, res) => {
     const projects = await fs.readdir(path.join(rootDir, 'projects'), { withFileTypes: true })
       .then(files => files.filter(file => file.isDirectory()).map(file => file.name));
 
-    // index.ejsにプロジェクト一覧を渡してレンダリング
-    res.render('index', { projects }); 
+    const settings = await readGlobalSettings(rootDir);
+
+    // index.ejsにプロジェクト一覧と全体の設定を渡してレンダリング
+    res.render('index', { projects, settings, presets: OPTIMIZATION_PRESETS }); 
   } catch (err) {
     console.error('プロジェクト一覧取得エラー:', err);
     res.status(500).json({ error: 'プロジェクト一覧取得失敗' }); 
@@ -331,13 +554,25 @@ app.get('/directory', async (req, res) => {
 
 
 
+// 画像のパスが属するプロジェクトの、透過画像の背景色を返す関数 (プロジェクト外の画像は既定の色)
+async function backgroundOfImage(imagePath) {
+  const [top, projectName] = path.relative(rootDir, imagePath).split(path.sep);
+  if (top !== 'projects' || !projectName) {
+    return DEFAULT_BACKGROUND;
+  }
+  return (await readProjectSettings(path.join(rootDir, 'projects', projectName))).background;
+}
+
 // 画像を取得するAPIエンドポイント
+// 画像は学習・検証と同じ方法でデコードした JPEG で返す (EXIF の向きを反映し、GIF は最初のフレーム、透明な部分は背景色で塗る)
 app.get('/images', async (req, res) => {
   const imagePath = req.query.path ? path.join(rootDir, decodeURIComponent(req.query.path)) : null; // パスをデコード
   if (imagePath) {
     try {
-      const imageData = await fs.readFile(imagePath);
-      res.setHeader('Content-Type', 'image/jpeg'); // ファイルタイプに応じて適切なMIMEタイプを設定
+      const imageData = isImageFile(imagePath)
+        ? await imageFileToJpeg(imagePath, await backgroundOfImage(imagePath))
+        : await fs.readFile(imagePath);
+      res.setHeader('Content-Type', 'image/jpeg');
       res.send(imageData);
     } catch (err) {
       console.error('画像取得エラー:', err);
@@ -365,27 +600,314 @@ app.get('/project/:projectName', async (req, res) => {
     // プロジェクトフォルダの画像情報を取得
     const imageList = await getImagesForProject(projectName); // 画像情報を取得する関数
 
+    // プロジェクト設定を取得
+    // プリセットはバックボーン・データ拡張の表示と学習設定フォームの初期値に反映する
+    const { projectSettings, effective } = await readEffectiveProjectSettings(projectName);
+
     // project.ejs にプロジェクト情報を渡してレンダリング
-    res.render('project', { projectName, labels: labelList, images: imageList }); 
+    res.render('project', {
+      projectName,
+      labels: labelList,
+      images: imageList,
+      // フォームのバッチサイズは 32 から始める (オプションを指定しない学習は従来どおりフルバッチ)
+      trainDefaults: { ...DEFAULT_TRAIN_OPTIONS, batchSize: 32, ...effective.trainOptions },
+      searchDefaults: DEFAULT_SEARCH,
+      projectSettings: { ...projectSettings, backbone: effective.backbone, augmentation: effective.augmentation },
+      preset: effective.preset,
+      backbones: listBackbones(),
+    });
   } catch (err) {
     console.error('プロジェクト情報取得エラー:', err);
     res.status(500).json({ error: 'プロジェクト情報取得失敗', details: err.message }); 
   }
 });
 
+// プロジェクト設定取得 API
+app.get('/project/:projectName/settings', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    res.json(await readProjectSettings(projectDir));
+  } catch (err) {
+    console.error('プロジェクト設定取得エラー:', err);
+    res.status(500).json({ error: 'プロジェクト設定取得失敗', details: err.message });
+  }
+});
+
+// プロジェクト設定保存 API
+app.put('/project/:projectName/settings', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    // プリセットから custom に切り替えるときは、それまで使っていたプリセットのバックボーン・データ拡張を引き継ぐ
+    const { projectSettings, effective } = await readEffectiveProjectSettings(req.params.projectName);
+    const changes = req.body && req.body.preset === 'custom' && projectSettings.preset !== 'custom'
+      ? { backbone: effective.backbone, augmentation: effective.augmentation, ...req.body }
+      : req.body;
+    const settings = await writeProjectSettings(projectDir, changes);
+    res.json({ message: 'プロジェクト設定を保存しました', settings });
+  } catch (err) {
+    // 不正な設定値は 400 で返す
+    console.error('プロジェクト設定保存エラー:', err);
+    res.status(400).json({ error: 'プロジェクト設定保存失敗', details: err.message });
+  }
+});
+
+// プロジェクトで使われているラベル名 (ラベルのフォルダ・マニフェストのラベル・矩形のラベル)
+async function labelNamesInProject(projectDir) {
+  const folders = (await fs.readdir(path.join(projectDir, 'training-data'), { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+  const manifest = await readManifest(projectDir);
+  const annotations = await readAnnotations(projectDir);
+  const names = [
+    ...folders,
+    ...Object.values(manifest.images).flat(),
+    ...Object.values(annotations.images).flat().map(box => box.label),
+  ];
+  return [...new Set(names)].sort();
+}
+
+// ラベルの登録簿取得 API (まだ登録されていないラベルは id を null にして末尾に加える。登録簿は書き換えない)
+app.get('/project/:projectName/labels', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    res.json(withUnregisteredLabels(await readLabelRegistry(projectDir), await labelNamesInProject(projectDir)));
+  } catch (err) {
+    console.error('ラベルの登録簿取得エラー:', err);
+    res.status(500).json({ error: 'ラベルの登録簿取得失敗', details: err.message });
+  }
+});
+
+// ラベルの順番と表示名を保存する API (body: { labels: [{ id, name, displayName }, ...] } 全ラベルを新しい順番で。id が null のラベルはここで登録する)
+app.put('/project/:projectName/labels', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    const registry = await updateLabels(projectDir, req.body && req.body.labels);
+    res.json({ message: 'ラベルの登録簿を保存しました', registry });
+  } catch (err) {
+    console.error('ラベルの登録簿保存エラー:', err);
+    res.status(400).json({ error: 'ラベルの登録簿保存失敗', details: err.message });
+  }
+});
+
+// 全体の設定取得 API
+app.get('/settings', async (req, res) => {
+  try {
+    res.json(await readGlobalSettings(rootDir));
+  } catch (err) {
+    console.error('設定取得エラー:', err);
+    res.status(500).json({ error: '設定取得失敗', details: err.message });
+  }
+});
+
+// 全体の設定保存 API (body: { optimization: "speed" | "accuracy" })
+app.put('/settings', async (req, res) => {
+  try {
+    const settings = await writeGlobalSettings(rootDir, req.body);
+    res.json({ message: '設定を保存しました', settings });
+  } catch (err) {
+    console.error('設定保存エラー:', err);
+    res.status(400).json({ error: '設定保存失敗', details: err.message });
+  }
+});
+
+// モデルのバージョン一覧取得 API
+app.get('/project/:projectName/versions', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    res.json(await listVersions(projectDir));
+  } catch (err) {
+    console.error('バージョン一覧取得エラー:', err);
+    res.status(500).json({ error: 'バージョン一覧取得失敗', details: err.message });
+  }
+});
+
+// バージョンの学習記録 (エポックごとの loss / accuracy の履歴を含む) 取得 API
+app.get('/project/:projectName/versions/:versionId', async (req, res) => {
+  const { projectName, versionId } = req.params;
+  const projectDir = path.join(rootDir, 'projects', projectName);
+
+  try {
+    res.json(await readVersionTraining(projectDir, versionId));
+  } catch (err) {
+    console.error('学習記録取得エラー:', err);
+    res.status(404).json({ error: '学習記録取得失敗', details: err.message });
+  }
+});
+
+// マニフェスト (マルチラベルの画像ごとのラベル) 取得 API
+app.get('/project/:projectName/manifest', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    res.json(await readManifest(projectDir));
+  } catch (err) {
+    console.error('マニフェスト取得エラー:', err);
+    res.status(500).json({ error: 'マニフェスト取得失敗', details: err.message });
+  }
+});
+
+// 1 枚の画像のラベルを設定する API (body: { image: "<ラベルフォルダ>/<ファイル名>", labels: [...] | null })
+app.put('/project/:projectName/manifest/images', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    const { image, labels } = req.body;
+    if (!fs.existsSync(path.join(projectDir, 'training-data', String(image)))) {
+      throw new Error(`画像が見つかりません: ${image}`);
+    }
+    const manifest = await setImageLabels(projectDir, image, labels === undefined ? null : labels);
+    res.json({ message: 'ラベルを保存しました', manifest });
+  } catch (err) {
+    console.error('マニフェスト保存エラー:', err);
+    res.status(400).json({ error: 'マニフェスト保存失敗', details: err.message });
+  }
+});
+
+// 物体検出の矩形の記録取得 API
+app.get('/project/:projectName/annotations', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    res.json(await readAnnotations(projectDir));
+  } catch (err) {
+    console.error('矩形の記録取得エラー:', err);
+    res.status(500).json({ error: '矩形の記録取得失敗', details: err.message });
+  }
+});
+
+// 1 枚の画像の矩形を設定する API (body: { image: "<ラベルフォルダ>/<ファイル名>", boxes: [{ label, x, y, width, height }, ...] | null })
+app.put('/project/:projectName/annotations/images', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    const { image, boxes } = req.body;
+    if (!fs.existsSync(path.join(projectDir, 'training-data', String(image)))) {
+      throw new Error(`画像が見つかりません: ${image}`);
+    }
+    const annotations = await setImageBoxes(projectDir, image, boxes === undefined ? null : boxes);
+    res.json({ message: '矩形を保存しました', annotations });
+  } catch (err) {
+    console.error('矩形の保存エラー:', err);
+    res.status(400).json({ error: '矩形の保存失敗', details: err.message });
+  }
+});
+
+// ハイパーパラメータ探索の一覧 (リーダーボード) 取得 API
+app.get('/project/:projectName/searches', async (req, res) => {
+  const projectDir = path.join(rootDir, 'projects', req.params.projectName);
+  if (!fs.existsSync(projectDir)) {
+    return res.status(404).json({ error: 'プロジェクトが見つかりません' });
+  }
+
+  try {
+    // サーバーの停止で中断された探索は記録上 running のまま残るため、実行中のジョブが無ければ failed として返す
+    const searches = (await listSearches(projectDir)).map(search => {
+      const job = getJob(search.id);
+      return search.status === 'running' && !(job && job.status === 'running') ? { ...search, status: 'failed' } : search;
+    });
+    res.json({ searches });
+  } catch (err) {
+    console.error('探索一覧取得エラー:', err);
+    res.status(500).json({ error: '探索一覧取得失敗', details: err.message });
+  }
+});
+
+// 検証に使うバージョンを切り替える API
+app.post('/project/:projectName/versions/:versionId/activate', async (req, res) => {
+  const { projectName, versionId } = req.params;
+  const projectDir = path.join(rootDir, 'projects', projectName);
+
+  try {
+    await activateVersion(projectDir, versionId);
+    io.emit('model-versions-changed', { projectName });
+    res.json({ message: 'バージョンを切り替えました', active: versionId });
+  } catch (err) {
+    console.error('バージョン切り替えエラー:', err);
+    res.status(400).json({ error: 'バージョン切り替え失敗', details: err.message });
+  }
+});
+
+// 直前のバージョンに戻す API
+app.post('/project/:projectName/versions/rollback', async (req, res) => {
+  const { projectName } = req.params;
+  const projectDir = path.join(rootDir, 'projects', projectName);
+
+  try {
+    const active = await rollbackVersion(projectDir);
+    io.emit('model-versions-changed', { projectName });
+    res.json({ message: '以前のバージョンに戻しました', active });
+  } catch (err) {
+    console.error('ロールバックエラー:', err);
+    res.status(400).json({ error: 'ロールバック失敗', details: err.message });
+  }
+});
+
+// バージョン削除 API
+app.delete('/project/:projectName/versions/:versionId', async (req, res) => {
+  const { projectName, versionId } = req.params;
+  const projectDir = path.join(rootDir, 'projects', projectName);
+
+  try {
+    await deleteVersion(projectDir, versionId);
+    io.emit('model-versions-changed', { projectName });
+    res.json({ message: 'バージョンを削除しました' });
+  } catch (err) {
+    console.error('バージョン削除エラー:', err);
+    res.status(400).json({ error: 'バージョン削除失敗', details: err.message });
+  }
+});
+
 // ラベル情報を取得する関数
 async function getLabelsForProject(projectName) {
   const projectDir = path.join(rootDir, 'projects', projectName,'training-data');
 
   try {
     const files = await fs.readdir(projectDir, { withFileTypes: true });
-    const labels = files.filter(file => file.isDirectory()).map(file => ({
-      name: file.name,
-      // ここではラベルIDは仮で生成
-      id: file.name,
-      // ラベルごとの画像数をカウント
-      count: fs.readdirSync(path.join(projectDir, file.name)).filter(f => !fs.lstatSync(path.join(projectDir, file.name, f)).isDirectory()).length 
-    }));
+    // ラベルの登録簿の順番に並べる (まだ登録されていないラベルは末尾で、ID は null)
+    const registry = await readLabelRegistry(path.dirname(projectDir));
+    const folders = files.filter(file => file.isDirectory()).map(file => file.name);
+    const labels = orderLabels(registry, folders).map(name => {
+      const label = registry.labels.find(entry => entry.name === name);
+      return {
+        name: name,
+        id: label ? label.id : null,
+        displayName: label ? label.displayName : name,
+        // ラベルごとの画像数をカウント
+        count: fs.readdirSync(path.join(projectDir, name)).filter(f => !fs.lstatSync(path.join(projectDir, name, f)).isDirectory()).length 
+      };
+    });
     return labels;
   } catch (err) {
     console.error('ラベル情報取得エラー:', err);
@@ -420,4 +942,14 @@ async function getImagesForProject(projectName) {
 
 server.listen(port, () => {
   console.log(`サーバーが起動しました: http://localhost:${port}`);
+
+  // 前回から残っている学習ジョブを読み込み、待機中のものから実行する
+  initJobs(path.join(rootDir, 'jobs'), runJob)
+    .catch(err => console.error('学習ジョブの読み込みエラー:', err.message));
+
+  // 全体の設定のプリセットのバックボーンの特徴抽出モデルを先に読み込んでおく (以降の学習・検証で再利用される)
+  readGlobalSettings(rootDir)
+    .then(settings => loadFeatureModel(OPTIMIZATION_PRESETS[settings.optimization].backbone))
+    .then(() => console.log('特徴抽出モデルを読み込みました'))
+    .catch(err => console.error('特徴抽出モデルの読み込みエラー:', err.message));
 });
\ No newline at end of file
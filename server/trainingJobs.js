@@ -0,0 +1,190 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// 学習ジョブ (学習・交差検証・ハイパーパラメータ探索) の管理 (サーバー全体で 1 件ずつ順番に実行する)
+// 検証はジョブにせず、実行中のジョブと並行して実行する (server.js の startVerification)
+// 状態: queued (待機中) -> running (実行中) -> done (完了) / failed (失敗) / cancelled (中止)
+// ジョブ一覧は jobs/jobs.json に保存し、サーバーを再起動しても待機中のジョブは引き継がれる
+//
+// イベント (jobEvents):
+//   'changed'  ()                  ジョブ一覧が変わった
+//   'progress' (job, event, data)  実行中ジョブの進捗 (updateProgress, trainMetrics など)
+//   'finished' (job)               ジョブが完了・失敗・中止した
+
+const JOBS_FILE = 'jobs.json';
+const MAX_FINISHED_JOBS = 50; // 保存しておく終了済みジョブの件数
+const ACTIVE_STATES = ['queued', 'running'];
+const HISTORY_EVENTS = ['trainMetrics', 'crossValidationFold']; // 最新のものだけでなく全件を再表示用に残すイベント (学習グラフ・交差検証の分割ごとの結果用)
+
+const jobEvents = new EventEmitter();
+
+let jobsPath = null;
+let jobs = [];
+let runJob = null;
+let current = null; // 実行中のジョブ { job, controller }
+let saving = Promise.resolve();
+const lastProgress = new Map(); // ジョブID -> Map(イベント名 -> 最新データ)
+const progressHistory = new Map(); // ジョブID -> [[イベント名, データ], ...] (HISTORY_EVENTS のみ)
+
+// ジョブ一覧を保存する関数 (書き込みが重ならないよう順番に実行する)
+function saveJobs() {
+  if (!jobsPath) return saving;
+  const snapshot = JSON.stringify(jobs, null, 2);
+  saving = saving
+    .then(() => fs.outputFile(jobsPath, snapshot))
+    .catch(error => console.error('ジョブ一覧の保存に失敗しました:', error));
+  return saving;
+}
+
+// 終了済みジョブが増えすぎないよう古いものから削除する関数
+function pruneFinishedJobs() {
+  const finished = jobs.filter(job => !ACTIVE_STATES.includes(job.status));
+  const excess = finished.length - MAX_FINISHED_JOBS;
+  if (excess > 0) {
+    const removed = new Set(finished.slice(0, excess).map(job => job.id));
+    jobs = jobs.filter(job => !removed.has(job.id));
+  }
+}
+
+// ジョブの状態を変更して保存・通知する関数
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  if (!ACTIVE_STATES.includes(job.status)) {
+    pruneFinishedJobs();
+  }
+  saveJobs();
+  jobEvents.emit('changed');
+}
+
+// ジョブ管理を初期化する関数 (jobsDir にジョブ一覧を保存し、runner(job, { signal, reporter }) でジョブを実行する)
+async function initJobs(jobsDir, runner) {
+  // 読み込みが終わるまでは保存も実行もしない (それまでに追加されたジョブは後ろにつなげる)
+  const savedPath = path.join(jobsDir, JOBS_FILE);
+  const savedJobs = (await fs.pathExists(savedPath)) ? await fs.readJson(savedPath) : [];
+  jobs = [...savedJobs, ...jobs];
+  jobsPath = savedPath;
+  runJob = runner;
+
+  // 前回の実行中に停止したジョブは失敗扱いにする
+  const now = new Date().toISOString();
+  jobs.filter(job => job.status === 'running').forEach(job => {
+    Object.assign(job, { status: 'failed', finishedAt: now, error: 'サーバーが停止したため中断されました' });
+  });
+  await saveJobs();
+  processNextJob();
+}
+
+// ジョブを待機列に追加する関数 (type は train: 学習 / crossValidate: 交差検証 / search: ハイパーパラメータ探索)
+function enqueueJob(type, projectName, options = {}) {
+  if (getActiveJob(projectName)) {
+    throw new Error('このプロジェクトは既に学習中または待機中です。');
+  }
+  const job = {
+    id: uuidv4(),
+    type,
+    projectName,
+    options,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  jobs.push(job);
+  saveJobs();
+  jobEvents.emit('changed');
+  setImmediate(processNextJob);
+  return job;
+}
+
+// ジョブを中止する関数 (実行中のジョブは現在のエポック終了後に停止する)
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || !ACTIVE_STATES.includes(job.status)) {
+    throw new Error('実行中または待機中のジョブがありません');
+  }
+  if (job.status === 'queued') {
+    updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    jobEvents.emit('finished', job);
+    return;
+  }
+  current.controller.abort();
+}
+
+// ID からジョブを取得する関数
+function getJob(jobId) {
+  return jobs.find(job => job.id === jobId) || null;
+}
+
+// プロジェクトの待機中または実行中のジョブを取得する関数
+function getActiveJob(projectName) {
+  return jobs.find(job => job.projectName === projectName && ACTIVE_STATES.includes(job.status)) || null;
+}
+
+// ジョブ一覧を取得する関数 (古い順)
+function listJobs() {
+  return jobs.map(job => ({ ...job }));
+}
+
+// 実行中ジョブの進捗を [イベント名, データ] の配列で取得する関数 (ページ再読み込み時の再表示用)
+// HISTORY_EVENTS はこれまでの全件、それ以外は最新のものだけを返す
+function getJobProgress(jobId) {
+  const latest = [...(lastProgress.get(jobId) || new Map())].filter(([event]) => !HISTORY_EVENTS.includes(event));
+  return [...(progressHistory.get(jobId) || []), ...latest];
+}
+
+// 待機列の先頭のジョブを実行する関数
+async function processNextJob() {
+  if (current || !runJob) return;
+  const job = jobs.find(job => job.status === 'queued');
+  if (!job) return;
+
+  const controller = new AbortController();
+  current = { job, controller };
+  lastProgress.set(job.id, new Map());
+  progressHistory.set(job.id, []);
+  updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  // learnTransferModel には socket の代わりにこの reporter を渡す
+  const reporter = {
+    emit: (event, data) => {
+      lastProgress.get(job.id).set(event, data);
+      if (HISTORY_EVENTS.includes(event)) {
+        progressHistory.get(job.id).push([event, data]);
+      }
+      jobEvents.emit('progress', job, event, data);
+    },
+  };
+
+  try {
+    const result = await runJob(job, { signal: controller.signal, reporter });
+    updateJob(job, { status: 'done', finishedAt: new Date().toISOString(), result });
+  } catch (error) {
+    if (error.name === 'TrainingCancelled') {
+      updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else {
+      console.error('ジョブの実行に失敗しました:', error);
+      updateJob(job, { status: 'failed', finishedAt: new Date().toISOString(), error: error.message });
+    }
+  } finally {
+    current = null;
+    lastProgress.delete(job.id);
+    progressHistory.delete(job.id);
+    jobEvents.emit('finished', job);
+    setImmediate(processNextJob);
+  }
+}
+
+module.exports = {
+  jobEvents,
+  initJobs,
+  enqueueJob,
+  cancelJob,
+  getJob,
+  getActiveJob,
+  listJobs,
+  getJobProgress,
+};